@@ -0,0 +1,73 @@
+/* ---------- Tiny HTTP helpers (node:http, no framework) ---------- */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+export async function readJson(req) {
+  let raw = "";
+  for await (const chunk of req) {
+    raw += chunk;
+    if (raw.length > 1e6) throw new HttpError(413, "Body too large");
+  }
+  if (!raw) return {};
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, "Invalid JSON body");
+  }
+  // handlers destructure fields: null, arrays and scalars would throw (→ 500)
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "Body must be a JSON object");
+  }
+  return body;
+}
+
+function decodeParam(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    throw new HttpError(400, "Malformed URL"); // a stray % would otherwise surface as a 500
+  }
+}
+
+// [["GET", "/rides/:id", handler], ...] → (method, path) → { handler, params }
+export function createRouter(routes) {
+  const compiled = routes.map(([method, pattern, handler]) => {
+    const names = [];
+    const re = new RegExp(
+      "^" +
+        pattern.replace(/:([a-zA-Z]+)/g, (_, n) => {
+          names.push(n);
+          return "([^/]+)";
+        }) +
+        "/?$"
+    );
+    return { method, re, names, handler };
+  });
+
+  return (method, path) => {
+    let pathMatched = false;
+    for (const r of compiled) {
+      const m = r.re.exec(path);
+      if (!m) continue;
+      pathMatched = true;
+      if (r.method !== method) continue;
+      const params = {};
+      r.names.forEach((n, i) => (params[n] = decodeParam(m[i + 1])));
+      return { handler: r.handler, params };
+    }
+    throw new HttpError(pathMatched ? 405 : 404, pathMatched ? "Method not allowed" : "Not found");
+  };
+}
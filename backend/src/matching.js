@@ -0,0 +1,35 @@
+/* ---------- Nearest-driver matching by route ETA ----------
+ * Straight-line distance picks a shortlist (store.nearestDrivers with
+ * SHORTLIST / MAX_RADIUS_KM), then each candidate is routed to the pickup and
+ * the shortest ETA wins. Routing failures fall back to the same 25 km/h
+ * straight-line estimate the map uses.
+ */
+import { haversineKm } from "../../frontend/src/geo.js";
+
+export const SHORTLIST = 5;
+export const MAX_RADIUS_KM = 15;
+const FALLBACK_KMH = 25;
+
+// Routed { duration, distance } through `points`, or the straight-line estimate when routing fails.
+// routed is false for estimates, including a breaker / withFallback answer (it carries `fallback`)
+export async function routeOrEstimate(router, points) {
+  try {
+    const r = await router.route(points);
+    return { duration: r.duration, distance: r.distance, routed: !r.fallback };
+  } catch {
+    let km = 0;
+    for (let i = 1; i < points.length; i++) km += haversineKm(points[i - 1], points[i]);
+    return { duration: (km / FALLBACK_KMH) * 3600, distance: km * 1000, routed: false };
+  }
+}
+
+// shortlist: candidate drivers (closest first), see store.nearestDrivers
+export async function matchNearestDriver(router, pickup, shortlist) {
+  if (!shortlist.length) return null;
+
+  const timed = await Promise.all(
+    shortlist.map(async (d) => ({ driver: d, ...(await routeOrEstimate(router, [d.location, pickup])) }))
+  );
+  timed.sort((a, b) => a.duration - b.duration);
+  return timed[0];
+}
@@ -0,0 +1,318 @@
+/* ---------- Ride-matching API ----------
+ * POST   /drivers                 { id?, name?, lat, lon, acceptsOffers? }  register (again: keeps trip state)
+ * PUT    /drivers/:id/location    { lat, lon, heading? }
+ * DELETE /drivers/:id             go offline
+ * GET    /drivers                 available drivers
+ * GET    /drivers/nearby          ?lat&lon&radiusKm=3&limit=500  available drivers, closest first
+ * GET    /drivers/:id/offer       ride currently offered to this driver (204 when none)
+ * POST   /rides                   { pickup, dropoff, stops?: [[lat, lon], ...], vehicleClass? }
+ * GET    /rides/:id               driver location is the live one
+ * POST   /rides/:id/state         { state }  lifecycle transition (see ride/lifecycle.js)
+ * POST   /rides/:id/accept        { driverId }  take the offered ride
+ * POST   /rides/:id/decline       { driverId }  pass it on to the next nearest driver (204)
+ * GET    /geofences               zones as a GeoJSON FeatureCollection (see geofence/zones.js)
+ *
+ * Drivers registered with acceptsOffers (the driver app) get a timed offer
+ * (OFFER_TIMEOUT_S, default 20) instead of being assigned; the ride stays
+ * "requested" until they accept. Declining or letting it expire offers the
+ * ride to the next nearest driver that hasn't declined it.
+ *
+ * GEOFENCES_FILE points at a GeoJSON file of zones (see geofences.example.geojson);
+ * rides whose pickup, stops or dropoff break them are refused with 422.
+ *
+ * FARE_CURRENCY, SURGE and FARE_RATES price rides like the app's VITE_FARE_CURRENCY,
+ * VITE_SURGE and VITE_FARE_RATES (see frontend/src/ride/config.js).
+ */
+import http from "node:http";
+import { readFileSync } from "node:fs";
+import { isLatLng } from "../../frontend/src/geo.js";
+import { createRoutingProvider } from "../../frontend/src/routing/providers.js";
+import { HttpError, sendJson, readJson, createRouter } from "./http.js";
+import {
+  newId,
+  upsertDriver,
+  getDriver,
+  removeDriver,
+  listDrivers,
+  nearestDrivers,
+  driversWithin,
+  saveRide,
+  getRide,
+} from "./store.js";
+import { matchNearestDriver, routeOrEstimate, SHORTLIST, MAX_RADIUS_KM } from "./matching.js";
+import { estimateFare, parseRates } from "../../frontend/src/ride/fare.js";
+import { startRide, transition, canTransition, isTerminal, RIDE_STATES } from "../../frontend/src/ride/lifecycle.js";
+import { parseZones, zonesToGeoJSON, checkPoint } from "../../frontend/src/geofence/zones.js";
+
+const PORT = Number(process.env.PORT) || 3001;
+const FARE = {
+  currency: process.env.FARE_CURRENCY || undefined,
+  surge: Number(process.env.SURGE) || 1,
+  rates: parseRates(process.env.FARE_RATES),
+};
+
+const OFFER_TIMEOUT_MS = (Number(process.env.OFFER_TIMEOUT_S) || 20) * 1000;
+const NEARBY_MAX_KM = 25;
+const NEARBY_MAX_LIMIT = 2000;
+
+const ZONES = process.env.GEOFENCES_FILE
+  ? parseZones(JSON.parse(readFileSync(process.env.GEOFENCES_FILE, "utf8")))
+  : [];
+
+const routing = createRoutingProvider({
+  provider: process.env.ROUTING_PROVIDER || "osrm",
+  baseUrl: process.env.ROUTING_URL || "",
+  profile: process.env.ROUTING_PROFILE || "",
+  apiKey: process.env.ROUTING_API_KEY || "",
+});
+
+function toLatLng(v, field) {
+  const p = Array.isArray(v) ? [Number(v[0]), Number(v[1])] : [Number(v?.lat), Number(v?.lon)];
+  if (!isLatLng(p)) throw new HttpError(400, `"${field}" must be [lat, lon]`);
+  return p;
+}
+
+function requireAllowed(point, purpose, field) {
+  const check = checkPoint(ZONES, point, purpose);
+  if (!check.ok) throw new HttpError(422, `${field}: ${check.message}`);
+}
+
+function requireDriver(id) {
+  const d = getDriver(id);
+  if (!d) throw new HttpError(404, "Driver not found");
+  return d;
+}
+
+function requireRide(id) {
+  const ride = getRide(id);
+  if (!ride) throw new HttpError(404, "Ride not found");
+  return ride;
+}
+
+function freeDriver(id) {
+  const d = getDriver(id);
+  if (d) upsertDriver({ ...d, available: true });
+}
+
+/* ---------- Dispatch (assign or offer) ---------- */
+const offerTimers = new Map(); // ride id → expiry timeout
+
+// Nearest available driver that hasn't declined; app drivers get an offer, the rest are assigned.
+// Another request may grab a candidate while we wait on routing; retry without it.
+async function dispatch(ride) {
+  const skip = new Set(ride.declinedBy);
+  for (;;) {
+    const shortlist = nearestDrivers(ride.pickup, {
+      k: SHORTLIST,
+      maxKm: MAX_RADIUS_KM,
+      filter: (d) => d.available && !skip.has(d.id),
+    });
+    const match = await matchNearestDriver(routing, ride.pickup, shortlist);
+    if (!match) break;
+    const d = getDriver(match.driver.id);
+    if (d?.available) {
+      // the rider may have cancelled while we were routing
+      const current = getRide(ride.id);
+      if (current && current.state !== RIDE_STATES.REQUESTED) return current;
+      upsertDriver({ ...d, available: false });
+      const driver = { id: d.id, name: d.name, location: d.location };
+      const eta = { seconds: Math.round(match.duration), meters: Math.round(match.distance), routed: match.routed };
+      if (d.acceptsOffers) return offerRide(ride, driver, eta);
+      return saveRide({ ...transition(ride, RIDE_STATES.ACCEPTED), driver, eta });
+    }
+    skip.add(match.driver.id);
+  }
+  return saveRide({ ...transition(ride, RIDE_STATES.CANCELLED), cancelReason: "no_drivers" });
+}
+
+function offerRide(ride, driver, eta) {
+  offerTimers.set(
+    ride.id,
+    setTimeout(() => passOn(ride.id, driver.id).catch((e) => console.error(e)), OFFER_TIMEOUT_MS)
+  );
+  return saveRide({ ...ride, offer: { driver, eta, expiresAt: Date.now() + OFFER_TIMEOUT_MS } });
+}
+
+function closeOffer(ride) {
+  clearTimeout(offerTimers.get(ride.id));
+  offerTimers.delete(ride.id);
+  return { ...ride, offer: null };
+}
+
+// Declined or expired: free the driver and offer the ride to the next one
+async function passOn(rideId, driverId) {
+  const ride = getRide(rideId);
+  if (ride?.offer?.driver.id !== driverId) return ride;
+  freeDriver(driverId);
+  // saved before routing so a second decline / the timer finds the offer closed
+  return dispatch(saveRide({ ...closeOffer(ride), declinedBy: [...ride.declinedBy, driverId] }));
+}
+
+// Seconds left are relative to now, so the app's countdown doesn't depend on its clock
+function withOfferClock(ride) {
+  return ride.offer ? { ...ride, offer: { ...ride.offer, expiresInMs: ride.offer.expiresAt - Date.now() } } : ride;
+}
+
+/* ---------- Handlers ---------- */
+async function registerDriver({ body }) {
+  const location = toLatLng([body.lat, body.lon], "lat/lon");
+  return [
+    201,
+    upsertDriver({ id: body.id || undefined, name: body.name, location, acceptsOffers: body.acceptsOffers === true }),
+  ];
+}
+
+async function updateDriverLocation({ params, body }) {
+  const d = requireDriver(params.id);
+  const location = toLatLng([body.lat, body.lon], "lat/lon");
+  return [200, upsertDriver({ ...d, location, heading: body.heading == null ? undefined : Number(body.heading) })];
+}
+
+async function deleteDriver({ params }) {
+  requireDriver(params.id);
+  removeDriver(params.id);
+  return [204];
+}
+
+async function getDrivers() {
+  return [200, listDrivers({ available: true })];
+}
+
+async function getNearbyDrivers({ query }) {
+  // missing params must not read as 0 (Number(null) === 0)
+  const point = toLatLng([query.get("lat") || NaN, query.get("lon") || NaN], "lat/lon");
+  const radiusKm = Math.min(NEARBY_MAX_KM, Number(query.get("radiusKm")) || 3);
+  const limit = Math.min(NEARBY_MAX_LIMIT, Number(query.get("limit")) || 500);
+  const drivers = driversWithin(point, radiusKm, { filter: (d) => d.available, limit });
+  return [200, drivers.map(({ id, name, location, heading, km }) => ({ id, name, location, heading, km }))];
+}
+
+async function readOffer({ params }) {
+  requireDriver(params.id);
+  for (const rideId of offerTimers.keys()) {
+    const ride = getRide(rideId);
+    if (ride?.offer?.driver.id === params.id) return [200, withOfferClock(ride)];
+  }
+  return [204];
+}
+
+async function createRide({ body }) {
+  const pickup = toLatLng(body.pickup, "pickup");
+  const dropoff = toLatLng(body.dropoff, "dropoff");
+  if (body.stops !== undefined && !Array.isArray(body.stops)) throw new HttpError(400, '"stops" must be an array');
+  const stops = (body.stops || []).map((s, i) => toLatLng(s, `stops[${i}]`));
+  const vehicleClass = body.vehicleClass || "economy";
+  if (!FARE.rates[vehicleClass]) throw new HttpError(400, `Unknown vehicle class "${vehicleClass}"`);
+  requireAllowed(pickup, "pickup", "pickup");
+  stops.forEach((s, i) => requireAllowed(s, "stop", `stops[${i}]`));
+  requireAllowed(dropoff, "dropoff", "dropoff");
+
+  const trip = await routeOrEstimate(routing, [pickup, ...stops, dropoff]);
+  const fare = estimateFare(trip, { vehicleClass, ...FARE });
+  const ride = saveRide({
+    id: newId(),
+    pickup,
+    stops,
+    dropoff,
+    vehicleClass,
+    fare,
+    driver: null,
+    eta: null,
+    offer: null,
+    declinedBy: [],
+    ...startRide(),
+  });
+
+  return [201, withOfferClock(await dispatch(ride))];
+}
+
+async function readRide({ params }) {
+  const ride = requireRide(params.id);
+  const live = ride.driver && getDriver(ride.driver.id);
+  return [200, withOfferClock(live ? { ...ride, driver: { ...ride.driver, location: live.location } } : ride)];
+}
+
+async function updateRideState({ params, body }) {
+  const ride = requireRide(params.id);
+  // rider and driver apps may both report the same step (e.g. arrival)
+  if (ride.state === body.state) return [200, ride];
+  // only the offered driver moves a requested ride forward (POST /rides/:id/accept)
+  if (ride.state === RIDE_STATES.REQUESTED && body.state !== RIDE_STATES.CANCELLED) {
+    throw new HttpError(409, "Waiting for a driver to accept");
+  }
+  if (!canTransition(ride.state, body.state)) {
+    throw new HttpError(409, `Cannot go from "${ride.state}" to "${body.state}"`);
+  }
+  let next = transition(ride, body.state);
+  if (ride.offer) {
+    freeDriver(ride.offer.driver.id);
+    next = closeOffer(next);
+  }
+  // free the driver for new matches once the trip is over
+  if (isTerminal(next.state) && next.driver) freeDriver(next.driver.id);
+  return [200, saveRide(next)];
+}
+
+function requireOffer(ride, driverId) {
+  if (ride.state !== RIDE_STATES.REQUESTED || ride.offer?.driver.id !== driverId || ride.offer.expiresAt < Date.now()) {
+    throw new HttpError(409, "This offer is no longer open");
+  }
+}
+
+async function acceptOffer({ params, body }) {
+  const ride = requireRide(params.id);
+  requireOffer(ride, body.driverId);
+  const { driver, eta } = ride.offer;
+  const location = getDriver(driver.id)?.location ?? driver.location;
+  return [200, saveRide({ ...transition(closeOffer(ride), RIDE_STATES.ACCEPTED), driver: { ...driver, location }, eta })];
+}
+
+async function declineOffer({ params, body }) {
+  requireOffer(requireRide(params.id), body.driverId);
+  await passOn(params.id, body.driverId);
+  return [204];
+}
+
+const route = createRouter([
+  ["GET", "/health", async () => [200, { ok: true }]],
+  ["GET", "/drivers", getDrivers],
+  ["GET", "/drivers/nearby", getNearbyDrivers],
+  ["POST", "/drivers", registerDriver],
+  ["PUT", "/drivers/:id/location", updateDriverLocation],
+  ["DELETE", "/drivers/:id", deleteDriver],
+  ["GET", "/drivers/:id/offer", readOffer],
+  ["POST", "/rides", createRide],
+  ["GET", "/rides/:id", readRide],
+  ["POST", "/rides/:id/state", updateRideState],
+  ["POST", "/rides/:id/accept", acceptOffer],
+  ["POST", "/rides/:id/decline", declineOffer],
+  ["GET", "/geofences", async () => [200, zonesToGeoJSON(ZONES)]],
+]);
+
+/* ---------- Server ---------- */
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type",
+    });
+    return res.end();
+  }
+  try {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    const { handler, params } = route(req.method, pathname);
+    const body = req.method === "POST" || req.method === "PUT" ? await readJson(req) : {};
+    const [status, payload] = await handler({ params, body, query: searchParams });
+    sendJson(res, status, payload);
+  } catch (e) {
+    const status = e instanceof HttpError ? e.status : 500;
+    if (status === 500) console.error(e);
+    sendJson(res, status, { error: status === 500 ? "Internal error" : e.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Ride API on http://localhost:${PORT}`);
+  if (ZONES.length) console.log(`${ZONES.length} geofence zone(s) from ${process.env.GEOFENCES_FILE}`);
+});
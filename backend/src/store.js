@@ -0,0 +1,70 @@
+/* ---------- In-memory store (drivers + rides) ----------
+ * Drivers are also kept in a spatial index, so dispatch and the "cars near
+ * me" layer don't scan the whole fleet.
+ */
+import crypto from "node:crypto";
+import { bearingDeg, distanceMeters } from "../../frontend/src/geo.js";
+import { createSpatialIndex } from "../../frontend/src/nearby/spatialIndex.js";
+
+const drivers = new Map(); // id → { id, name, location, heading, available, acceptsOffers, updatedAt }
+const driverIndex = createSpatialIndex();
+const rides = new Map(); // id → ride
+
+const HEADING_MIN_MOVE_M = 5; // smaller moves are GPS noise, keep the last heading
+
+export function newId() {
+  return crypto.randomUUID();
+}
+
+// acceptsOffers: a driver app that accepts/declines offers (others are assigned directly)
+// heading: compass degrees when the device knows it, else derived from the move
+// available: left as it was for a known driver (one mid-trip stays busy), true for a new one
+export function upsertDriver({ id = newId(), name = "", location, heading, available, acceptsOffers }) {
+  const prev = drivers.get(id);
+  const moved = prev && distanceMeters(prev.location, location) >= HEADING_MIN_MOVE_M;
+  const driver = {
+    ...prev,
+    id,
+    name: name || prev?.name || "",
+    location,
+    heading: Number.isFinite(heading) ? heading : moved ? bearingDeg(prev.location, location) : prev?.heading ?? null,
+    available: available ?? prev?.available ?? true,
+    acceptsOffers: acceptsOffers ?? prev?.acceptsOffers ?? false,
+    updatedAt: Date.now(),
+  };
+  drivers.set(id, driver);
+  driverIndex.upsert(id, location, driver);
+  return driver;
+}
+
+export function getDriver(id) {
+  return drivers.get(id) || null;
+}
+
+export function removeDriver(id) {
+  driverIndex.remove(id);
+  return drivers.delete(id);
+}
+
+export function listDrivers({ available } = {}) {
+  const all = [...drivers.values()];
+  return available === undefined ? all : all.filter((d) => d.available === available);
+}
+
+// Closest first, each with its straight-line `km`; filter(driver) → boolean
+export function nearestDrivers(point, { k = 10, maxKm, filter } = {}) {
+  return driverIndex.nearest(point, k, { maxKm, filter }).map((e) => ({ ...e.data, km: e.km }));
+}
+
+export function driversWithin(point, radiusKm, { filter, limit } = {}) {
+  return driverIndex.within(point, radiusKm, { filter, limit }).map((e) => ({ ...e.data, km: e.km }));
+}
+
+export function saveRide(ride) {
+  rides.set(ride.id, ride);
+  return ride;
+}
+
+export function getRide(id) {
+  return rides.get(id) || null;
+}
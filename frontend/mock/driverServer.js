@@ -0,0 +1,137 @@
+/* ---------- Mock driver feed (WebSocket, no dependencies) ----------
+ * node mock/driverServer.js   →  ws://localhost:8787
+ *
+ * Waits for the app's { type: "rider", lat, lon }, spawns a driver ~1.5 km
+ * away and drives it straight at the rider, emitting
+ * { type: "driver", lat, lon, heading } once a second.
+ */
+import http from "node:http";
+import crypto from "node:crypto";
+
+const PORT = Number(process.env.PORT) || 8787;
+const SPEED_MPS = Number(process.env.DRIVER_SPEED_MPS) || 10;
+const START_OFFSET_M = 1500;
+const TICK_MS = 1000;
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+/* ---------- Minimal RFC 6455 framing (text frames only) ---------- */
+function encodeFrame(text) {
+  const payload = Buffer.from(text);
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x81, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Client frames are always masked; returns [{ opcode, text }] and leftover bytes
+function decodeFrames(buf) {
+  const out = [];
+  let off = 0;
+  while (buf.length - off >= 2) {
+    const opcode = buf[off] & 0x0f;
+    let len = buf[off + 1] & 0x7f;
+    let pos = off + 2;
+    if (len === 126) {
+      if (buf.length < pos + 2) break;
+      len = buf.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127) {
+      if (buf.length < pos + 8) break;
+      len = Number(buf.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    if (buf.length < pos + 4 + len) break;
+    const mask = buf.subarray(pos, pos + 4);
+    const data = Buffer.from(buf.subarray(pos + 4, pos + 4 + len));
+    for (let i = 0; i < data.length; i++) data[i] ^= mask[i % 4];
+    out.push({ opcode, text: data.toString("utf8") });
+    off = pos + 4 + len;
+  }
+  return { frames: out, rest: buf.subarray(off) };
+}
+
+/* ---------- Geometry ---------- */
+const M_PER_DEG = 111320;
+
+function offsetMeters([lat, lon], north, east) {
+  return [
+    lat + north / M_PER_DEG,
+    lon + east / (M_PER_DEG * Math.cos((lat * Math.PI) / 180)),
+  ];
+}
+
+function stepTowards(from, to, meters) {
+  const north = (to[0] - from[0]) * M_PER_DEG;
+  const east = (to[1] - from[1]) * M_PER_DEG * Math.cos((from[0] * Math.PI) / 180);
+  const dist = Math.hypot(north, east);
+  const heading = ((Math.atan2(east, north) * 180) / Math.PI + 360) % 360;
+  if (dist <= meters) return { pos: to, heading };
+  const k = meters / dist;
+  return { pos: offsetMeters(from, north * k, east * k), heading };
+}
+
+/* ---------- Server ---------- */
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { "Content-Type": "text/plain" });
+  res.end("WebSocket only\n");
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!key) return socket.destroy();
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  let rider = null;
+  let driver = null;
+  let pending = Buffer.alloc(0);
+
+  const timer = setInterval(() => {
+    if (!rider) return;
+    if (!driver) {
+      const angle = Math.random() * 2 * Math.PI;
+      driver = offsetMeters(rider, START_OFFSET_M * Math.cos(angle), START_OFFSET_M * Math.sin(angle));
+    }
+    const { pos, heading } = stepTowards(driver, rider, (SPEED_MPS * TICK_MS) / 1000);
+    driver = pos;
+    socket.write(encodeFrame(JSON.stringify({ type: "driver", lat: pos[0], lon: pos[1], heading })));
+  }, TICK_MS);
+
+  socket.on("data", (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+    for (const f of frames) {
+      if (f.opcode === 0x8) return socket.end(Buffer.from([0x88, 0]));
+      if (f.opcode !== 0x1) continue;
+      try {
+        const msg = JSON.parse(f.text);
+        if (msg.type === "rider") rider = [Number(msg.lat), Number(msg.lon)];
+      } catch {
+        // ignore malformed messages
+      }
+    }
+  });
+  socket.on("close", () => clearInterval(timer));
+  socket.on("error", () => clearInterval(timer));
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock driver feed on ws://localhost:${PORT}`);
+});
@@ -0,0 +1,83 @@
+/* ---------- Mock fleet for the ride-matching backend (no dependencies) ----------
+ * API_URL=http://localhost:3001 FLEET_SIZE=1000 FLEET_CENTER=52.52,13.405 node mock/fleet.js
+ *
+ * Registers FLEET_SIZE drivers scattered within FLEET_RADIUS_KM (default 5)
+ * of the centre and wanders them around, PUTting { lat, lon, heading } every
+ * few seconds, so the nearby-drivers layer and dispatch have a crowd to work
+ * with. Ctrl-C takes the whole fleet offline again.
+ */
+const API_URL = (process.env.API_URL || "http://localhost:3001").replace(/\/+$/, "");
+const SIZE = Number(process.env.FLEET_SIZE) || 1000;
+const CENTER = (process.env.FLEET_CENTER || "52.52,13.405").split(",").map(Number);
+const RADIUS_M = (Number(process.env.FLEET_RADIUS_KM) || 5) * 1000;
+const TICK_MS = 3000;
+const BATCH = 50; // requests in flight at once
+
+const M_PER_DEG = 111320;
+
+function offsetMeters([lat, lon], north, east) {
+  return [lat + north / M_PER_DEG, lon + east / (M_PER_DEG * Math.cos((lat * Math.PI) / 180))];
+}
+
+function metersFromCenter([lat, lon]) {
+  const north = (lat - CENTER[0]) * M_PER_DEG;
+  const east = (lon - CENTER[1]) * M_PER_DEG * Math.cos((CENTER[0] * Math.PI) / 180);
+  return { north, east, dist: Math.hypot(north, east) };
+}
+
+async function api(method, path, body) {
+  const res = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!res.ok) throw new Error(`${method} ${path} → ${res.status}`);
+  return res.status === 204 ? null : res.json();
+}
+
+async function inBatches(items, fn) {
+  for (let i = 0; i < items.length; i += BATCH) {
+    await Promise.all(items.slice(i, i + BATCH).map((x) => fn(x).catch((e) => console.error(e.message))));
+  }
+}
+
+/* ---------- Fleet ---------- */
+const fleet = Array.from({ length: SIZE }, (_, i) => {
+  const r = RADIUS_M * Math.sqrt(Math.random()); // uniform over the disc
+  const a = Math.random() * 2 * Math.PI;
+  return {
+    id: `mock-${i + 1}`,
+    name: `Mock ${i + 1}`,
+    location: offsetMeters(CENTER, r * Math.cos(a), r * Math.sin(a)),
+    heading: Math.random() * 360,
+    mps: 5 + Math.random() * 7,
+  };
+});
+
+function wander(car, seconds) {
+  car.heading = (car.heading + (Math.random() - 0.5) * 60 + 360) % 360;
+  // outside the disc → head back towards the centre
+  const { north, east, dist } = metersFromCenter(car.location);
+  if (dist > RADIUS_M) car.heading = ((Math.atan2(-east, -north) * 180) / Math.PI + 360) % 360;
+  const step = car.mps * seconds;
+  const rad = (car.heading * Math.PI) / 180;
+  car.location = offsetMeters(car.location, step * Math.cos(rad), step * Math.sin(rad));
+}
+
+await inBatches(fleet, (car) =>
+  api("POST", "/drivers", { id: car.id, name: car.name, lat: car.location[0], lon: car.location[1] })
+);
+console.log(`${SIZE} mock drivers around ${CENTER.join(",")} on ${API_URL}`);
+
+const timer = setInterval(() => {
+  fleet.forEach((car) => wander(car, TICK_MS / 1000));
+  inBatches(fleet, (car) =>
+    api("PUT", `/drivers/${car.id}/location`, { lat: car.location[0], lon: car.location[1], heading: car.heading })
+  );
+}, TICK_MS);
+
+process.on("SIGINT", async () => {
+  clearInterval(timer);
+  await inBatches(fleet, (car) => api("DELETE", `/drivers/${car.id}`));
+  process.exit(0);
+});
@@ -0,0 +1,51 @@
+/* ---------- Tile cache service worker ----------
+ * Cache-first for map tiles from the hosts given as ?host=… when registering
+ * (src/tiles/store.js). Downloaded areas live in CACHE; tiles fetched while
+ * browsing go to BROWSE_CACHE, capped at BROWSE_MAX (oldest dropped first), so
+ * the last seen map survives losing signal without filling the disk.
+ */
+const CACHE = "gps-uber-tiles-v1"; // keep in sync with src/tiles/store.js
+const BROWSE_CACHE = "gps-uber-tiles-browse-v1"; // ditto
+const BROWSE_MAX = 2000; // ~30-50 MB of raster tiles
+const HOSTS = new URL(self.location.href).searchParams.getAll("host");
+
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (e) => e.waitUntil(self.clients.claim()));
+
+self.addEventListener("fetch", (e) => {
+  const req = e.request;
+  if (req.method !== "GET" || !HOSTS.includes(new URL(req.url).host)) return;
+  e.respondWith(cacheFirst(e));
+});
+
+async function cacheFirst(e) {
+  const req = e.request;
+  const hit =
+    (await caches.match(req.url, { cacheName: CACHE })) ||
+    (await caches.match(req.url, { cacheName: BROWSE_CACHE }));
+  if (hit) return hit;
+  try {
+    const res = await fetch(req);
+    // keep the worker alive until the tile is stored
+    if (res.ok) e.waitUntil(storeBrowsed(req.url, res.clone()));
+    return res;
+  } catch {
+    return new Response("", { status: 504, statusText: "Offline and tile not cached" });
+  }
+}
+
+let trimming = null;
+
+async function storeBrowsed(url, res) {
+  const cache = await caches.open(BROWSE_CACHE);
+  await cache.put(url, res);
+  // one trim at a time; tiles stored meanwhile are caught by the next one
+  trimming ??= trimBrowsed(cache).finally(() => (trimming = null));
+  return trimming;
+}
+
+// keys() lists entries in insertion order, so the first ones are the oldest
+async function trimBrowsed(cache) {
+  const keys = await cache.keys();
+  for (const key of keys.slice(0, Math.max(0, keys.length - BROWSE_MAX))) await cache.delete(key);
+}
@@ -1,54 +1,164 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import {
-  MapContainer,
-  TileLayer,
-  Marker,
-  Popup,
-  Circle,
-  Polyline,
-  useMap,
-  useMapEvents,
-} from "react-leaflet";
-import "leaflet/dist/leaflet.css";
-import L from "leaflet";
-
-/* ---------- Leaflet marker icon fix ---------- */
-delete L.Icon.Default.prototype._getIconUrl;
-L.Icon.Default.mergeOptions({
-  iconRetinaUrl:
-    "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon-2x.png",
-  iconUrl:
-    "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon.png",
-  shadowUrl:
-    "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png",
-});
-
-/* ---------- Helpers ---------- */
-function roundGPS([lat, lon]) {
-  // ~1.1m precision
-  return [Number(lat.toFixed(5)), Number(lon.toFixed(5))];
+import React, { useCallback, useEffect, useMemo, useRef, useState, useSyncExternalStore } from "react";
+import { createRoutingProvider } from "./routing/providers.js";
+import { routingConfig } from "./routing/config.js";
+import { TRAVEL_MODES, travelMode as modeOf, modeRoutingConfig } from "./routing/modes.js";
+import { createRouteCache } from "./routing/cache.js";
+import { ERROR_KINDS } from "./routing/errors.js";
+import { CIRCUIT } from "./routing/resilience.js";
+import { haversineKm, distanceMeters, isLatLng } from "./geo.js";
+import { createWebSocketTransport } from "./realtime/transport.js";
+import { realtimeConfig } from "./realtime/config.js";
+import { useDriverFeed } from "./realtime/useDriverFeed.js";
+import { useAnimatedLatLng } from "./realtime/useAnimatedLatLng.js";
+import { apiConfig } from "./api/config.js";
+import { getRide, requestRide, updateRideState } from "./api/rides.js";
+import { RIDE_STATES, isPickedUp, isTerminal, pathTo } from "./ride/lifecycle.js";
+import { useRideLifecycle } from "./ride/useRideLifecycle.js";
+import { estimateFare, formatMoney } from "./ride/fare.js";
+import { fareConfig } from "./ride/config.js";
+import { meterFare, formatElapsed } from "./ride/meter.js";
+import { useTaxiMeter } from "./ride/useTaxiMeter.js";
+import TripSummary from "./ride/TripSummary.jsx";
+import { createGeocoder } from "./geocoding/providers.js";
+import { geocodingConfig } from "./geocoding/config.js";
+import { FIXTURE_PLACES } from "./geocoding/fixtures.js";
+import { useReverseGeocode } from "./geocoding/useReverseGeocode.js";
+import SearchBox from "./geocoding/SearchBox.jsx";
+import StopList from "./ride/StopList.jsx";
+import RouteChooser from "./routing/RouteChooser.jsx";
+import { useNavigation } from "./navigation/useNavigation.js";
+import NavBanner from "./navigation/NavBanner.jsx";
+import { useOffRoute } from "./navigation/useOffRoute.js";
+import { useLiveEta } from "./navigation/useLiveEta.js";
+import { useArrival } from "./navigation/useArrival.js";
+import { etaMinutes } from "./navigation/eta.js";
+import { navigationConfig } from "./navigation/config.js";
+import { useTripRecorder } from "./trips/useTripRecorder.js";
+import TripPanel from "./trips/TripPanel.jsx";
+import { tileConfig } from "./tiles/config.js";
+import { registerTileWorker } from "./tiles/store.js";
+import { useTileDownloads } from "./tiles/useTileDownloads.js";
+import OfflineTilesPanel from "./tiles/OfflineTilesPanel.jsx";
+import { browserLocationSource, createSimulator } from "./location/sources.js";
+import { readTrackFile, trackFromPath } from "./location/tracks.js";
+import SimulatorPanel from "./location/SimulatorPanel.jsx";
+import { createPositionFilter } from "./location/kalman.js";
+import { useMapMatch } from "./mapmatch/useMapMatch.js";
+import { useDriverShift } from "./driver/useDriverShift.js";
+import { useNearbyDrivers } from "./nearby/useNearbyDrivers.js";
+import NearbyDriversLayer from "./nearby/NearbyDriversLayer.jsx";
+import OfferCard from "./driver/OfferCard.jsx";
+import MapSurface from "./map/MapSurface.jsx";
+import { MapCircle, MapMarker, MapPolyline } from "./map/layers.jsx";
+import { useMapAdapter } from "./map/context.js";
+import { htmlIcon } from "./map/icons.js";
+import { mapConfig, MAP_RENDERERS } from "./map/config.js";
+import { checkPoint, nearestAllowedPoint } from "./geofence/zones.js";
+import { geofenceConfig } from "./geofence/config.js";
+import { useGeofences } from "./geofence/useGeofences.js";
+import { useZoneEditor } from "./geofence/useZoneEditor.js";
+import GeofenceLayer from "./geofence/GeofenceLayer.jsx";
+import GeofenceEditor from "./geofence/GeofenceEditor.jsx";
+import FenceNotice from "./geofence/FenceNotice.jsx";
+
+registerTileWorker(tileConfig);
+const routeCache = createRouteCache({ size: routingConfig.cacheSize, ttlMs: routingConfig.cacheTtlMs });
+const routers = {}; // travel mode → cached provider, created on first use
+function routerFor(mode) {
+  if (!routers[mode]) {
+    const config = modeRoutingConfig(routingConfig, mode);
+    routers[mode] = routeCache.wrap(
+      createRoutingProvider(config),
+      `${config.provider}:${config.mode}:${config.profile}:${config.baseUrl}`
+    );
+  }
+  return routers[mode];
+}
+const gpsSource = browserLocationSource();
+const geocoder = createGeocoder(geocodingConfig, FIXTURE_PLACES);
+const driverTransport = realtimeConfig.driverFeedUrl
+  ? createWebSocketTransport(realtimeConfig.driverFeedUrl)
+  : null;
+
+const TRIP_LABELS = {
+  [RIDE_STATES.REQUESTED]: "Requesting a driver…",
+  [RIDE_STATES.ACCEPTED]: "Driver on the way",
+  [RIDE_STATES.ARRIVING]: "Driver has arrived",
+  [RIDE_STATES.IN_PROGRESS]: "On trip",
+  [RIDE_STATES.COMPLETED]: "Trip completed",
+  [RIDE_STATES.CANCELLED]: "Ride cancelled",
+};
+
+// same states seen from behind the wheel
+const DRIVER_TRIP_LABELS = {
+  ...TRIP_LABELS,
+  [RIDE_STATES.ACCEPTED]: "Heading to pickup",
+  [RIDE_STATES.ARRIVING]: "Waiting for the rider",
+};
+
+// backend ride (state + live driver location) is polled this often while active
+const RIDE_POLL_MS = 3000;
+
+// manual "next step" per state: [target state, button label]
+const NEXT_ACTION = {
+  [RIDE_STATES.ACCEPTED]: [RIDE_STATES.ARRIVING, "Driver arrived"],
+  [RIDE_STATES.ARRIVING]: [RIDE_STATES.IN_PROGRESS, "Start trip"],
+  [RIDE_STATES.IN_PROGRESS]: [RIDE_STATES.COMPLETED, "Complete trip"],
+};
+const DRIVER_NEXT_ACTION = {
+  ...NEXT_ACTION,
+  [RIDE_STATES.ACCEPTED]: [RIDE_STATES.ARRIVING, "At pickup"],
+};
+
+function fareBreakdownText({ breakdown: b, currency }) {
+  const m = (v) => formatMoney(v, currency);
+  let text = `Base ${m(b.base)} + ${b.km} km ${m(b.distance)} + ${b.min} min ${m(b.time)}`;
+  if (b.minimumApplied) text += " (minimum fare)";
+  if (b.surge > 1) text += ` · ×${b.surge} surge (+${m(b.surgeAmount)})`;
+  return text;
 }
 
-function haversineKm([lat1, lon1], [lat2, lon2]) {
-  const R = 6371;
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) ** 2;
-  return 2 * R * Math.asin(Math.sqrt(a));
+// Straight-line legs between consecutive points at the mode's fallback speed
+function straightLegs(points, kmh) {
+  return points.slice(1).map((p, i) => {
+    const km = haversineKm(points[i], p);
+    return { distance: km * 1000, duration: (km / kmh) * 3600 };
+  });
 }
-function distanceMeters(a, b) {
-  return haversineKm(a, b) * 1000;
+
+// Vehicle markers: the mode's emoji instead of the default pin
+const MODE_ICONS = Object.fromEntries(
+  Object.entries(TRAVEL_MODES).map(([id, m]) => [
+    id,
+    htmlIcon(`<div style="font-size:26px;line-height:30px;text-align:center">${m.icon}</div>`, [30, 30]),
+  ])
+);
+const WALK_KMH = TRAVEL_MODES.walking.kmh;
+
+const NO_POINTS = [];
+
+let stopSeq = 0;
+function makeStop(latlng, label = null) {
+  return { id: ++stopSeq, latlng, label };
 }
-function isLatLng(v) {
-  return Array.isArray(v) && v.length === 2 && Number.isFinite(v[0]) && Number.isFinite(v[1]);
+
+// Status-overlay wording per routing error kind
+const ROUTE_ERROR_TEXT = {
+  [ERROR_KINDS.RATE_LIMITED]: "Routing server is rate-limiting us",
+  [ERROR_KINDS.SERVER]: "Routing server error",
+  [ERROR_KINDS.NETWORK]: "Can't reach the routing server",
+  [ERROR_KINDS.NO_ROUTE]: "No route between these points",
+  [ERROR_KINDS.BAD_REQUEST]: "Routing request was rejected",
+  [ERROR_KINDS.UNAVAILABLE]: "Routing is unavailable",
+};
+
+function clockTime(ts) {
+  return new Date(ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
 }
 
+/* ---------- Map helpers ---------- */
 function RecenterOnce({ position }) {
-  const map = useMap();
+  const map = useMapAdapter();
   const did = useRef(false);
   useEffect(() => {
     if (position && !did.current) {
@@ -59,51 +169,79 @@ function RecenterOnce({ position }) {
   return null;
 }
 
+// Navigation camera: keep the user centred while following, heading-up where the map can rotate
+function FollowPosition({ position, heading, enabled, zoom = 17 }) {
+  const map = useMapAdapter();
+  useEffect(() => {
+    if (enabled && position) map.follow(position, { zoom, bearing: heading });
+  }, [position, heading, enabled, zoom, map]);
+  // back to north-up once navigation stops
+  useEffect(() => {
+    if (enabled) return () => map.resetNorth();
+  }, [enabled, map]);
+  return null;
+}
+
 function ViewportController({ bounds, follow, onUserPan }) {
-  const map = useMap();
+  const map = useMapAdapter();
   const userInteractingRef = useRef(false);
+  const onUserPanRef = useRef(onUserPan);
+  onUserPanRef.current = onUserPan;
 
-  useMapEvents({
-    dragstart() {
-      userInteractingRef.current = true;
-      onUserPan();
-    },
-    zoomstart() {
+  useEffect(() => {
+    const offStart = map.on("interactionstart", () => {
       userInteractingRef.current = true;
-      onUserPan();
-    },
-    moveend() {
+      onUserPanRef.current();
+    });
+    const offEnd = map.on("moveend", () => {
       setTimeout(() => {
         userInteractingRef.current = false;
       }, 0);
-    },
-  });
+    });
+    return () => {
+      offStart();
+      offEnd();
+    };
+  }, [map]);
 
   useEffect(() => {
     if (!bounds || !follow || userInteractingRef.current) return;
-    map.fitBounds(bounds, { padding: [40, 40] });
+    map.fitBounds(bounds, { padding: 40 });
   }, [bounds, follow, map]);
 
   return null;
 }
 
+// Reports { bounds, zoom } on mount and after every pan/zoom
+function TrackView({ onChange }) {
+  const map = useMapAdapter();
+  useEffect(() => {
+    const report = () => {
+      const { bounds, zoom } = map.getView();
+      onChange({ bounds, zoom });
+    };
+    report();
+    return map.on("moveend", report);
+  }, [map, onChange]);
+  return null;
+}
+
 function TapToSet({ onSet, mode }) {
+  const map = useMapAdapter();
   const movedRef = useRef(false);
-  useMapEvents({
-    dragstart() {
-      movedRef.current = true;
-    },
-    zoomstart() {
-      movedRef.current = true;
-    },
-    moveend() {
-      movedRef.current = false;
-    },
-    click(e) {
-      if (!mode || movedRef.current) return;
-      onSet([e.latlng.lat, e.latlng.lng], mode);
-    },
-  });
+  const tapRef = useRef(null);
+  tapRef.current = (latlng) => {
+    if (!mode || movedRef.current) return;
+    onSet(latlng, mode);
+  };
+  useEffect(() => {
+    const offs = [
+      map.on("interactionstart", () => (movedRef.current = true)),
+      map.on("moveend", () => (movedRef.current = false)),
+      map.on("click", (latlng) => tapRef.current(latlng)),
+    ];
+    return () => offs.forEach((off) => off());
+  }, [map]);
   return null;
 }
 
@@ -111,195 +249,653 @@ function TapToSet({ onSet, mode }) {
 export default function RideMapMultiLeg() {
   const [position, setPosition] = useState(null); // user [lat, lon]
   const [accuracy, setAccuracy] = useState(null);
+  const [fix, setFix] = useState(null); // raw fix { lat, lon, accuracy, speed, heading, ts }
+  const [motion, setMotion] = useState(null); // filtered { speed, heading, velocity }
+  const [sim, setSim] = useState(null); // GPS simulator replacing the device location
+  const [showSim, setShowSim] = useState(false);
+  const locationSource = sim || gpsSource;
 
+  // "rider": GPS is the rider, the driver is tapped/streamed/matched;
+  // "driver": GPS is the vehicle, rides arrive as offers from the backend
+  const [role, setRole] = useState("rider");
+  const isDriver = role === "driver";
   const [driver, setDriver] = useState(null);
-  const [dest, setDest] = useState(null);
+  const driverAt = isDriver ? position : driver;
+  const [travelMode, setTravelMode] = useState("driving"); // vehicle for both legs, see routing/modes.js
+  const mode = modeOf(travelMode);
+
+  const { trip, start: startTrip, go: goTrip, reset: resetTrip } = useRideLifecycle();
+  const pickedUp = isPickedUp(trip?.state); // DU leg is done once the rider is on board
+
+  // optional meeting point; the rider walks there and the vehicle leg starts from it.
+  // In driver mode it's the offered/accepted rider's pickup.
+  const [pickup, setPickup] = useState(null);
+  const walkToPickup = !isDriver && isLatLng(pickup) && !pickedUp;
+  const fromPickup = walkToPickup || (isDriver && !pickedUp); // trip leg starts there, not at the device
+  const pickupPoint = fromPickup ? pickup : position;
+
+  // ordered stops after pickup; the last one is the dropoff. label comes from search,
+  // tapped stops have none (the dropoff is reverse-geocoded)
+  const [stops, setStops] = useState([]); // [{ id, latlng, label }]
+  const dropoff = stops.length ? stops[stops.length - 1] : null;
+  const dest = dropoff?.latlng ?? null;
+  const tripPoints = useMemo(
+    () => (isLatLng(pickupPoint) && stops.length ? [pickupPoint, ...stops.map((s) => s.latlng)] : null),
+    [pickupPoint, stops]
+  );
 
   const [routeDU, setRouteDU] = useState([]); // driver → user
-  const [routeUD, setRouteUD] = useState([]); // user → dest
+  const [routeUD, setRouteUD] = useState([]); // user → stops → dest, one request
+  const [routeWalk, setRouteWalk] = useState([]); // user → pickup point, on foot
+  const [walkLeg, setWalkLeg] = useState(null); // { distance, duration }
 
   const [kmDU, setKmDU] = useState(null);
   const [minDU, setMinDU] = useState(null);
-  const [kmUD, setKmUD] = useState(null);
-  const [minUD, setMinUD] = useState(null);
+  const [legsUD, setLegsUD] = useState([]); // [{ distance, duration }] per stop
+  const [stepsUD, setStepsUD] = useState([]); // maneuvers, only fetched while navigating
+  const [stepsDU, setStepsDU] = useState([]); // same, driver mode on the way to pickup
+  const [optionsUD, setOptionsUD] = useState([]); // best route + alternatives; routeUD is the chosen one
+  const [activeUD, setActiveUD] = useState(0);
+  const [navigating, setNavigating] = useState(false);
 
-  const totalKm = useMemo(() => {
-    const a = kmDU ? parseFloat(kmDU) : 0;
-    const b = kmUD ? parseFloat(kmUD) : 0;
-    const sum = a + b;
-    return sum > 0 ? sum.toFixed(2) : null;
-  }, [kmDU, kmUD]);
-  const totalMin = useMemo(() => {
-    const a = minDU || 0;
-    const b = minUD || 0;
-    const sum = a + b;
-    return sum > 0 ? sum : null;
-  }, [minDU, minUD]);
+  const totalsUD = useMemo(
+    () =>
+      legsUD.length
+        ? {
+            distance: legsUD.reduce((a, l) => a + l.distance, 0),
+            duration: legsUD.reduce((a, l) => a + l.duration, 0),
+          }
+        : null,
+    [legsUD]
+  );
+  const kmUD = totalsUD ? (totalsUD.distance / 1000).toFixed(2) : null;
+  const minUD = totalsUD ? Math.max(1, Math.round(totalsUD.duration / 60)) : null;
+
+  /* ---------- Fare (UD leg) ---------- */
+  // priced on the exact route totals, like the backend, not the rounded display values
+  const [vehicleClass, setVehicleClass] = useState("economy");
+  const fare = useMemo(
+    () => (totalsUD ? estimateFare(totalsUD, { vehicleClass, ...fareConfig }) : null),
+    [totalsUD, vehicleClass]
+  );
 
   const [loadingDU, setLoadingDU] = useState(false);
   const [loadingUD, setLoadingUD] = useState(false);
-  const [error, setError] = useState("");
+  const [loadingWalk, setLoadingWalk] = useState(false);
+  // { kind, message, leg? }: kind is a routing ERROR_KINDS value or "location" | "ride" | "track"
+  const [error, setError] = useState(null);
 
-  const [tapMode, setTapMode] = useState(null); // "driver" | "dest" | null
+  const [ride, setRide] = useState(null); // matched ride from the backend
+  const [requesting, setRequesting] = useState(false);
+
+  const [tapMode, setTapMode] = useState(null); // "driver" | "dest" | "stop" | "pickup" | null
+  const [showTrips, setShowTrips] = useState(false);
+  const [showTiles, setShowTiles] = useState(false);
+  const [mapView, setMapView] = useState(null); // { bounds, zoom } while the offline panel is open
   const [follow, setFollow] = useState(true);
-  const mapRef = useRef(null);
+  const mapRef = useRef(null); // the map adapter (map/adapters.js)
+  const [renderer, setRenderer] = useState(mapConfig.renderer);
 
   /* --- anti-blink knobs --- */
   const MIN_MOVE_M = 30; // ignore smaller moves
   const MIN_FETCH_INTERVAL_MS = 5000; // rate-limit fetch per leg
 
   // track last routed endpoints & time (per leg)
-  const lastDU = useRef({ from: null, to: null, ts: 0 });
-  const lastUD = useRef({ from: null, to: null, ts: 0 });
+  const lastDU = useRef({ points: null, ts: 0 });
+  const lastUD = useRef({ points: null, ts: 0 });
   const abortDU = useRef(null);
   const abortUD = useRef(null);
+  const lastWalk = useRef({ points: null, ts: 0 });
+  const abortWalk = useRef(null);
+  const activeUDRef = useRef(0); // chosen option, read by the fetch effect
+
+  /* ---------- Live GPS (device or simulator), Kalman-smoothed ---------- */
+  useEffect(() => {
+    const filter = createPositionFilter(); // fresh per source, sims jump around
+    return locationSource.watch(
+      (f) => {
+        setError((e) => (e?.kind === "location" ? null : e));
+        setFix(f); // raw fix for the trip recorder
+        const est = filter.update(f);
+        if (est.rejected) return; // outlier / teleport
+        setPosition([est.lat, est.lon]);
+        setAccuracy(est.accuracy);
+        setMotion({ speed: est.speed, heading: est.heading, velocity: est.velocity });
+      },
+      (err) => setError({ kind: "location", message: err.message })
+    );
+  }, [locationSource]);
 
-  /* ---------- Live GPS ---------- */
+  const startSimulation = (points) => {
+    sim?.destroy();
+    const next = createSimulator(points);
+    setSim(next);
+    next.play();
+  };
+  const stopSimulation = () => {
+    sim?.destroy();
+    setSim(null);
+  };
+
+  /* ---------- Live driver feed (routes through the same jitter gate) ---------- */
+  const feed = useDriverFeed(isDriver ? null : driverTransport, pickupPoint);
+  const cacheStats = useSyncExternalStore(routeCache.subscribe, routeCache.getSnapshot);
+  const { health } = routerFor(travelMode);
+  const routingHealth = useSyncExternalStore(health.subscribe, health.getSnapshot);
   useEffect(() => {
-    if (!("geolocation" in navigator)) {
-      setError("Geolocation not supported.");
+    if (feed.driver) setDriver(feed.driver);
+  }, [feed.driver]);
+  const driverShown = useAnimatedLatLng(driver);
+
+  /* ---------- Cars around the rider before requesting ---------- */
+  const showNearby = !isDriver && !trip;
+  const nearby = useNearbyDrivers(position, showNearby);
+
+  /* ---------- Addresses for popups ---------- */
+  const userAddress = useReverseGeocode(geocoder, position);
+  const destAddress = useReverseGeocode(geocoder, dropoff?.label ? null : dest);
+  const pickupAddress = useReverseGeocode(geocoder, isDriver ? pickup : null);
+
+  /* ---------- Stops ---------- */
+  const setDestination = (latlng, label = null) =>
+    setStops((prev) => (prev.length ? [...prev.slice(0, -1), makeStop(latlng, label)] : [makeStop(latlng, label)]));
+  // new stops go before the dropoff (or become it when there is none)
+  const addStop = (latlng, label = null) =>
+    setStops((prev) =>
+      prev.length ? [...prev.slice(0, -1), makeStop(latlng, label), prev[prev.length - 1]] : [makeStop(latlng, label)]
+    );
+  const moveStop = (from, to) =>
+    setStops((prev) => {
+      const next = [...prev];
+      const [s] = next.splice(from, 1);
+      next.splice(to, 0, s);
+      return next;
+    });
+  const removeStop = (id) => setStops((prev) => prev.filter((s) => s.id !== id));
+  const relocateStop = (id, latlng) => setStops((prev) => prev.map((s) => (s.id === id ? makeStop(latlng, s.label) : s)));
+  const stopLabel = (stop, i) =>
+    stop.label || (i === stops.length - 1 ? destAddress : null) || `${stop.latlng[0].toFixed(5)}, ${stop.latlng[1].toFixed(5)}`;
+
+  /* ---------- Geofences ---------- */
+  const fences = useGeofences(geofenceConfig.url);
+  const zoneEditor = useZoneEditor(fences);
+  const [showZones, setShowZones] = useState(false);
+  const [fenceIssue, setFenceIssue] = useState(null); // refused point: checkPoint result + { purpose, suggestion, apply }
+  // May latlng be used for purpose? If not, say why and offer the nearest point that may.
+  const fenceCheck = (latlng, purpose, apply) => {
+    const check = checkPoint(fences.zones, latlng, purpose);
+    setFenceIssue(
+      check.ok ? null : { ...check, purpose, suggestion: nearestAllowedPoint(fences.zones, latlng, purpose), apply }
+    );
+    return check.ok;
+  };
+  const placeChecked = (latlng, purpose, apply) => {
+    if (fenceCheck(latlng, purpose, apply)) apply(latlng);
+  };
+
+  /* ---------- Ride request + lifecycle ---------- */
+  // Catch up with the backend's view of the ride (the other app may have moved it on)
+  const followRide = useCallback(
+    (r) => {
+      setRide(r);
+      if (!isDriver && isLatLng(r.driver?.location)) setDriver(r.driver.location);
+      pathTo(r.state).forEach(goTrip);
+      if (r.cancelReason === "no_drivers") setError({ kind: "ride", message: "No drivers available nearby." });
+    },
+    [isDriver, goTrip]
+  );
+
+  // Backend picks the nearest driver by ETA; without one, the tapped/streamed driver takes it.
+  // A driver-app match stays "requested" until they accept, see the poll below.
+  const onRequestRide = async () => {
+    if (!isLatLng(position) || !isLatLng(dest)) return;
+    // the device location may be the pickup, and zones may have changed since the stops were set
+    const allowed =
+      fenceCheck(pickupPoint, "pickup", setPickup) &&
+      stops.every((s, i) =>
+        fenceCheck(s.latlng, i === stops.length - 1 ? "dropoff" : "stop", (p) => relocateStop(s.id, p))
+      );
+    if (!allowed) return;
+    setError(null);
+    startTrip();
+    if (!apiConfig.baseUrl) {
+      goTrip(RIDE_STATES.ACCEPTED);
       return;
     }
-    const id = navigator.geolocation.watchPosition(
-      (pos) => {
-        setError("");
-        // round to de-noise
-        setPosition(roundGPS([pos.coords.latitude, pos.coords.longitude]));
-        setAccuracy(pos.coords.accuracy);
-      },
-      (err) => setError(err.message || "Unable to get location"),
-      { enableHighAccuracy: true, maximumAge: 2000, timeout: 10000 }
+    setRequesting(true);
+    try {
+      followRide(
+        await requestRide({
+          pickup: pickupPoint,
+          stops: stops.slice(0, -1).map((s) => s.latlng),
+          dropoff: dest,
+          vehicleClass,
+        })
+      );
+    } catch (e) {
+      goTrip(RIDE_STATES.CANCELLED);
+      setError({ kind: "ride", message: e?.message || "Ride request failed" });
+    } finally {
+      setRequesting(false);
+    }
+  };
+
+  const advanceTrip = (to) => {
+    goTrip(to);
+    if (ride?.id) {
+      updateRideState(ride.id, to).catch((e) =>
+        setError({ kind: "ride", message: e?.message || "Ride update failed" })
+      );
+    }
+  };
+
+  /* ---------- Trip recording (automatic while the rider is on board) ---------- */
+  const recorder = useTripRecorder(fix);
+  const offlineTiles = useTileDownloads(tileConfig);
+  const { active: recording, start: startRecording, stop: stopRecording } = recorder;
+  const breadcrumb = useMemo(() => recorder.trace.map((f) => [f.lat, f.lon]), [recorder.trace]);
+  const autoRecRef = useRef(null); // pickup timestamp we auto-recorded for
+  const pickupTs = trip?.timestamps[RIDE_STATES.IN_PROGRESS];
+  const tripState = trip?.state;
+  const rideId = ride?.id ?? null;
+  useEffect(() => {
+    if (pickupTs && !isTerminal(tripState) && autoRecRef.current !== pickupTs) {
+      autoRecRef.current = pickupTs;
+      if (!recording) startRecording({ rideId });
+    }
+    if (isTerminal(tripState) && autoRecRef.current && recording) {
+      autoRecRef.current = null;
+      stopRecording();
+    }
+  }, [pickupTs, tripState, rideId, recording, startRecording, stopRecording]);
+
+  /* ---------- Taxi meter (pickup → dropoff, what was actually driven) ---------- */
+  const dropTs = trip?.timestamps[RIDE_STATES.COMPLETED] ?? trip?.timestamps[RIDE_STATES.CANCELLED];
+  const meter = useTaxiMeter(fix, pickupTs, dropTs);
+  const quote = ride?.fare || fare;
+  // same tariff as the quote: the backend's surge/currency once a ride is booked
+  const metered =
+    meter &&
+    meterFare(
+      meter,
+      ride?.fare
+        ? { vehicleClass, surge: ride.fare.breakdown.surge, currency: ride.fare.currency }
+        : { vehicleClass, ...fareConfig }
     );
-    return () => navigator.geolocation.clearWatch(id);
-  }, []);
+
+  /* ---------- Keep up with the backend ride (offer accepted, other app's steps) ---------- */
+  useEffect(() => {
+    if (!rideId || !tripState || isTerminal(tripState)) return;
+    let stopped = false;
+    const id = setInterval(() => {
+      getRide(rideId)
+        .then((r) => !stopped && followRide(r))
+        .catch(() => {}); // next poll
+    }, RIDE_POLL_MS);
+    return () => {
+      stopped = true;
+      clearInterval(id);
+    };
+  }, [rideId, tripState, followRide]);
+
+  /* ---------- Driver mode: offers preview on the map, accept starts the trip ---------- */
+  const shift = useDriverShift(isDriver ? position : null);
+  const offered = shift.offer?.ride ?? null;
+
+  // the offer is previewed with the usual legs: us → pickup (DU), pickup → stops → dropoff (UD)
+  useEffect(() => {
+    if (!isDriver || (tripState && !isTerminal(tripState))) return; // busy with a ride
+    if (offered) {
+      resetTrip();
+      setRide(null);
+      setPickup(offered.pickup);
+      setStops([...offered.stops, offered.dropoff].map((p) => makeStop(p)));
+      setVehicleClass(offered.vehicleClass);
+    } else if (!tripState) {
+      setPickup(null);
+      setStops([]);
+    }
+  }, [isDriver, offered, tripState, resetTrip]);
+
+  const acceptOffer = async () => {
+    setError(null);
+    startTrip(); // keeps the preview up while we wait
+    const r = await shift.accept();
+    if (r) followRide(r);
+    else resetTrip();
+  };
 
   /* ---------- Straight-line fallbacks (don’t clear polylines) ---------- */
   useEffect(() => {
-    if (isLatLng(driver) && isLatLng(position)) {
-      const dKm = haversineKm(driver, position);
+    if (isLatLng(driverAt) && isLatLng(pickupPoint)) {
+      const dKm = haversineKm(driverAt, pickupPoint);
       setKmDU(dKm.toFixed(2));
-      setMinDU(Math.max(1, Math.round((dKm / 25) * 60)));
+      setMinDU(Math.max(1, Math.round((dKm / mode.kmh) * 60)));
     } else {
       setKmDU(null);
       setMinDU(null);
     }
-  }, [driver, position]);
+  }, [driverAt, pickupPoint, mode]);
 
+  // UD keeps its routed legs while on-route (no refetch per fix, see below)
   useEffect(() => {
-    if (isLatLng(position) && isLatLng(dest)) {
-      const dKm = haversineKm(position, dest);
-      setKmUD(dKm.toFixed(2));
-      setMinUD(Math.max(1, Math.round((dKm / 25) * 60)));
-    } else {
-      setKmUD(null);
-      setMinUD(null);
-    }
-  }, [position, dest]);
+    if (!tripPoints) {
+      setLegsUD([]);
+      setOptionsUD([]);
+    } else if (!lastUD.current.ok) setLegsUD(straightLegs(tripPoints, mode.kmh));
+  }, [tripPoints, mode]);
+
+  useEffect(() => {
+    if (!walkToPickup) {
+      lastWalk.current = { points: null, ts: 0 };
+      setRouteWalk([]);
+      setWalkLeg(null);
+    } else if (!lastWalk.current.ok) setWalkLeg(straightLegs([position, pickup], WALK_KMH)[0]);
+  }, [walkToPickup, position, pickup]);
+
+  /* ---------- Off-route → reroute from the current fix ---------- */
+  // the device's own leg: on foot to the pickup point, driving to it, else the trip itself
+  const ownLeg = walkToPickup ? "WALK" : isDriver && !pickedUp ? "DU" : "UD";
+  const ownRoute = { WALK: routeWalk, DU: routeDU, UD: routeUD }[ownLeg];
+  const { offRoute } = useOffRoute(ownRoute, position, accuracy);
+
+  /* ---------- Map-matching: draw the user on the road ---------- */
+  // off-route detection above deliberately uses the unsnapped position
+  const { snapped, travelled } = useMapMatch({
+    path: ownRoute,
+    position,
+    accuracy,
+    fix,
+    resetKey: pickupTs,
+    mode: travelMode,
+  });
+  const shownPosition = snapped || position;
+
+  /* ---------- Live ETA + arrival (per fix, between refetches) ---------- */
+  const totalsDU = useMemo(
+    () => (kmDU && minDU ? { distance: parseFloat(kmDU) * 1000, duration: minDU * 60 } : null),
+    [kmDU, minDU]
+  );
+  // no speed for a remote driver (the feed only sends its position), so the route average it is
+  const etaDU = useLiveEta(
+    pickedUp ? NO_POINTS : routeDU,
+    isDriver ? shownPosition : driver,
+    totalsDU,
+    isDriver ? motion?.speed : null
+  );
+  const etaUD = useLiveEta(routeUD, fromPickup ? pickup : shownPosition, totalsUD, fromPickup ? null : motion?.speed);
+  const etaWalk = useLiveEta(routeWalk, shownPosition, walkLeg, motion?.speed);
+
+  const onDriverArrived = () => {
+    if (trip?.state === RIDE_STATES.ACCEPTED) advanceTrip(RIDE_STATES.ARRIVING);
+  };
+  const onRiderArrived = () => setNavigating(false);
+  const driverArrived = useArrival(
+    pickedUp ? null : driverAt,
+    pickupPoint,
+    navigationConfig.arrivalM,
+    onDriverArrived
+  );
+  const riderArrived = useArrival(
+    position,
+    dest,
+    Math.max(navigationConfig.arrivalM, accuracy || 0),
+    onRiderArrived
+  );
+
+  const liveKmDU = driverArrived ? "0.00" : etaDU ? (etaDU.remainingMeters / 1000).toFixed(2) : kmDU;
+  const liveMinDU = driverArrived ? 0 : etaDU ? etaMinutes(etaDU.seconds) : minDU;
+  const liveKmUD = riderArrived ? "0.00" : etaUD ? (etaUD.remainingMeters / 1000).toFixed(2) : kmUD;
+  const liveMinUD = riderArrived ? 0 : etaUD ? etaMinutes(etaUD.seconds) : minUD;
+  const liveWalk = etaWalk || (walkLeg && { remainingMeters: walkLeg.distance, seconds: walkLeg.duration });
+  const liveMinWalk = walkToPickup && liveWalk ? etaMinutes(liveWalk.seconds) : 0;
+
+  const totalKm = useMemo(() => {
+    const a = liveKmDU && !pickedUp ? parseFloat(liveKmDU) : 0;
+    const b = liveKmUD ? parseFloat(liveKmUD) : 0;
+    const sum = a + b;
+    return sum > 0 ? sum.toFixed(2) : null;
+  }, [liveKmDU, liveKmUD, pickedUp]);
+  const totalMin = useMemo(() => {
+    // the trip starts once both the vehicle and the walking rider reach the pickup
+    const a = pickedUp ? 0 : Math.max(liveMinDU || 0, liveMinWalk);
+    const b = liveMinUD || 0;
+    const sum = a + b;
+    return sum > 0 ? sum : null;
+  }, [liveMinDU, liveMinUD, pickedUp, liveMinWalk]);
+
+  // the leg turn-by-turn follows: a driver heading to the pickup navigates DU
+  const navLeg = isDriver && !pickedUp ? "DU" : "UD";
 
-  /* ---------- Fetch routes from OSRM (debounced, jitter-guarded, abortable) ---------- */
+  /* ---------- Fetch routes from provider (debounced, jitter-guarded, abortable) ---------- */
   useEffect(() => {
-    const fetchLeg = async (leg, from, to) => {
-      if (!isLatLng(from) || !isLatLng(to)) return;
+    // per leg: gate record, in-flight request, spinner, travel mode
+    const LEGS = {
+      DU: { last: lastDU, abort: abortDU, setLoading: setLoadingDU, mode: travelMode },
+      UD: { last: lastUD, abort: abortUD, setLoading: setLoadingUD, mode: travelMode },
+      WALK: { last: lastWalk, abort: abortWalk, setLoading: setLoadingWalk, mode: "walking" },
+    };
+
+    const fetchLeg = async (leg, points) => {
+      if (!points || points.length < 2 || !points.every(isLatLng)) return;
+      const { last, abort, setLoading, mode: legMode } = LEGS[leg];
 
-      // rate limit & distance gate
+      // rate limit & distance gate (any waypoint moving counts)
       const now = Date.now();
-      const rec = leg === "DU" ? lastDU.current : lastUD.current;
+      const rec = last.current;
       const distChange =
-        isLatLng(rec.from) && isLatLng(rec.to)
-          ? Math.max(distanceMeters(rec.from, from), distanceMeters(rec.to, to))
+        rec.points?.length === points.length
+          ? Math.max(...points.map((p, i) => distanceMeters(rec.points[i], p)))
           : Infinity;
 
       if (now - rec.ts < MIN_FETCH_INTERVAL_MS && distChange < MIN_MOVE_M) {
         return; // ignore tiny/rapid changes
       }
 
+      // UD/WALK: while we're still on the last good route only the stops moving matter;
+      // the rider going off their own leg is what refetches from the current position
+      const stopsChange =
+        rec.points?.length === points.length
+          ? Math.max(0, ...points.slice(1).map((p, i) => distanceMeters(rec.points[i + 1], p)))
+          : Infinity;
+      const reroute = offRoute && leg === ownLeg;
+      if (leg !== "DU" && rec.ok && !reroute && stopsChange < MIN_MOVE_M) return;
+      // same stops (e.g. steps toggled) → stay on the route the rider picked
+      const keepChoice = stopsChange < MIN_MOVE_M && !reroute;
+
       // cancel previous
-      try {
-        (leg === "DU" ? abortDU : abortUD).current?.abort();
-      } catch {}
+      abort.current?.abort();
       const controller = new AbortController();
-      if (leg === "DU") abortDU.current = controller;
-      else abortUD.current = controller;
+      abort.current = controller;
 
       // mark last params
-      rec.from = from;
-      rec.to = to;
+      rec.points = points;
       rec.ts = now;
 
-      leg === "DU" ? setLoadingDU(true) : setLoadingUD(true);
+      setLoading(true);
       try {
-        const coords = `${from[1]},${from[0]};${to[1]},${to[0]}`;
-        const url =
-          `https://router.project-osrm.org/route/v1/driving/${coords}` +
-          `?overview=full&geometries=geojson&alternatives=false&steps=false&continue_straight=true`;
-        const res = await fetch(url, { signal: controller.signal });
-        if (!res.ok) {
-          let msg = "";
-          try {
-            const j = await res.json();
-            msg = j?.message || j?.code || "";
-          } catch {
-            msg = await res.text().catch(() => "");
-          }
-          throw new Error(`OSRM ${res.status}${msg ? `: ${msg}` : ""}`);
-        }
-        const data = await res.json();
-        const r = data.routes?.[0];
-        if (!r) throw new Error("No route found");
-
-        const path = r.geometry.coordinates.map(([lon, lat]) => [lat, lon]);
+        const r = await routerFor(legMode).route(points, {
+          signal: controller.signal,
+          steps: leg === navLeg && navigating,
+          alternatives: leg === "UD" && !pickedUp && !isDriver, // the rider already chose
+        });
 
         // only set if this is still the latest request (not aborted/overwritten)
-        const stillLatest = (leg === "DU"
-          ? abortDU.current === controller
-          : abortUD.current === controller);
-        if (!stillLatest) return;
+        if (abort.current !== controller) return;
+        rec.ok = true;
+        setError((prev) => (prev?.leg === leg ? null : prev));
 
         if (leg === "DU") {
-          setRouteDU(path);
+          setRouteDU(r.path);
+          setStepsDU(r.steps || []);
           setKmDU((r.distance / 1000).toFixed(2));
           setMinDU(Math.max(1, Math.round(r.duration / 60)));
+        } else if (leg === "WALK") {
+          setRouteWalk(r.path);
+          setWalkLeg({ distance: r.distance, duration: r.duration });
         } else {
-          setRouteUD(path);
-          setKmUD((r.distance / 1000).toFixed(2));
-          setMinUD(Math.max(1, Math.round(r.duration / 60)));
+          const options = [r, ...(r.alternatives || [])];
+          const active = keepChoice && activeUDRef.current < options.length ? activeUDRef.current : 0;
+          const chosen = options[active];
+          activeUDRef.current = active;
+          setOptionsUD(options);
+          setActiveUD(active);
+          setRouteUD(chosen.path);
+          setLegsUD(chosen.legs);
+          setStepsUD(chosen.steps || []);
         }
       } catch (e) {
         if (e?.name === "AbortError") return; // expected
-        setError((e?.message || "Route fetch failed") + " — showing straight-line estimate.");
+        rec.ok = false;
+        if (leg === "UD") {
+          setLegsUD(straightLegs(points, modeOf(legMode).kmh));
+          setOptionsUD([]);
+        }
+        if (leg === "WALK") setWalkLeg(straightLegs(points, WALK_KMH)[0]);
+        setError({ kind: e?.kind || ERROR_KINDS.SERVER, message: e?.message || "Route fetch failed", leg });
         // keep existing polyline to avoid blink
       } finally {
-        leg === "DU" ? setLoadingDU(false) : setLoadingUD(false);
+        setLoading(false);
       }
     };
 
     // Debounce tiny GPS jitters a bit further
-    const t1 = setTimeout(() => fetchLeg("DU", driver, position), 350);
-    const t2 = setTimeout(() => fetchLeg("UD", position, dest), 350);
+    const t1 = pickedUp ? null : setTimeout(() => fetchLeg("DU", [driverAt, pickupPoint]), 350);
+    const t2 = setTimeout(() => fetchLeg("UD", tripPoints), 350);
+    const t3 = walkToPickup ? setTimeout(() => fetchLeg("WALK", [position, pickup]), 350) : null;
     return () => {
       clearTimeout(t1);
       clearTimeout(t2);
+      clearTimeout(t3);
     };
-  }, [driver, position, dest]);
+  }, [
+    driverAt,
+    position,
+    pickup,
+    pickupPoint,
+    walkToPickup,
+    tripPoints,
+    pickedUp,
+    navigating,
+    offRoute,
+    ownLeg,
+    navLeg,
+    isDriver,
+    travelMode,
+  ]);
+
+  /* ---------- Turn-by-turn ---------- */
+  const navRoute = navLeg === "DU" ? routeDU : routeUD;
+  const nav = useNavigation(
+    navigating ? navRoute : NO_POINTS,
+    !navigating ? NO_POINTS : navLeg === "DU" ? stepsDU : stepsUD,
+    shownPosition
+  );
+  const chooseRoute = (i) => {
+    const r = optionsUD[i];
+    if (!r) return;
+    activeUDRef.current = i;
+    setActiveUD(i);
+    setRouteUD(r.path);
+    setLegsUD(r.legs);
+    setStepsUD(r.steps || []);
+  };
+  const routeFare = (r) => {
+    const f = estimateFare(r, { vehicleClass, ...fareConfig });
+    return formatMoney(f.total, f.currency);
+  };
+  const showOptions = !trip && optionsUD.length > 1;
+
+  const changeTravelMode = (id) => {
+    // new profile → bypass the jitter gate on every vehicle leg
+    lastDU.current = { points: null, ts: 0 };
+    lastUD.current = { points: null, ts: 0 };
+    setTravelMode(id);
+  };
+
+  const toggleNavigation = () => {
+    // bypass the jitter gate so the next fetch asks for (or drops) steps
+    lastDU.current = { points: null, ts: 0 };
+    lastUD.current = { points: null, ts: 0 };
+    setNavigating((v) => !v);
+    setFollow(true);
+  };
+
+  const clearTrip = () => {
+    if (trip && !isTerminal(trip.state) && ride?.id) {
+      updateRideState(ride.id, RIDE_STATES.CANCELLED).catch(() => {});
+    }
+    resetTrip();
+    setDriver(null);
+    setStops([]);
+    setPickup(null);
+    setFenceIssue(null);
+    setRide(null);
+    setKmDU(null);
+    setMinDU(null);
+    setLegsUD([]);
+    setStepsUD([]);
+    setStepsDU([]);
+    setOptionsUD([]);
+    setNavigating(false);
+    setError(null);
+    setFollow(true);
+    // keep routes as-is, they will refresh when points are set again
+    setRouteDU([]);
+    setRouteUD([]);
+    lastDU.current = { points: null, ts: 0 };
+    lastUD.current = { points: null, ts: 0 };
+    abortDU.current?.abort?.();
+    abortUD.current?.abort?.();
+  };
+
+  const switchRole = () => {
+    clearTrip();
+    shift.goOffline();
+    setTapMode(null);
+    setRole(isDriver ? "rider" : "driver");
+  };
 
   /* ---------- Bounds ---------- */
   const bounds = useMemo(() => {
     const pts = [];
-    if (routeDU.length) pts.push(...routeDU);
+    if (routeDU.length && !pickedUp) pts.push(...routeDU);
     if (routeUD.length) pts.push(...routeUD);
     if (!pts.length) {
-      if (isLatLng(driver)) pts.push(driver);
+      if (isLatLng(driverAt) && !pickedUp) pts.push(driverAt);
       if (isLatLng(position)) pts.push(position);
-      if (isLatLng(dest)) pts.push(dest);
+      stops.forEach((s) => pts.push(s.latlng));
     }
-    return pts.length ? L.latLngBounds(pts) : null;
-  }, [routeDU, routeUD, driver, position, dest]);
+    return pts.length ? pts : null;
+  }, [routeDU, routeUD, driverAt, position, stops, pickedUp]);
+
+  const tripLabels = isDriver ? DRIVER_TRIP_LABELS : TRIP_LABELS;
+  const nextAction = isDriver ? DRIVER_NEXT_ACTION : NEXT_ACTION;
+
+  const requestDisabled =
+    requesting || !isLatLng(dest) || (!apiConfig.baseUrl && !isLatLng(driver));
 
   /* ---------- Guards ---------- */
   if (!position) {
     return (
       <div style={{ padding: 12, fontFamily: "system-ui" }}>
-        {error ? `Error: ${error}` : "Allow location access to see the map…"}
+        {error ? `Error: ${error.message}` : "Allow location access to see the map…"}
+        <div style={{ marginTop: 8, fontSize: 13 }}>
+          Or replay a GPX/GeoJSON track:{" "}
+          <input
+            type="file"
+            accept=".gpx,.geojson,.json,application/gpx+xml,application/geo+json"
+            onChange={async (e) => {
+              const file = e.target.files?.[0];
+              if (!file) return;
+              try {
+                startSimulation(await readTrackFile(file));
+              } catch (err) {
+                setError({ kind: "track", message: err?.message || "Could not read track" });
+              }
+            }}
+          />
+        </div>
       </div>
     );
   }
@@ -314,64 +910,144 @@ export default function RideMapMultiLeg() {
         background: "#f4f4f4",
       }}
     >
-      <MapContainer
+      <MapSurface
+        key={renderer}
+        renderer={renderer}
+        config={mapConfig}
+        tiles={tileConfig}
         center={position}
         zoom={16}
-        style={{ height: "100%", width: "100%" }}
-        whenCreated={(m) => (mapRef.current = m)}
+        mapRef={mapRef}
       >
-        <TileLayer
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-          attribution="© OpenStreetMap contributors"
-        />
+        {showTiles && <TrackView onChange={setMapView} />}
 
         <RecenterOnce position={position} />
+        <FollowPosition position={shownPosition} heading={motion?.heading} enabled={navigating && follow} />
         <ViewportController
-          bounds={bounds}
+          bounds={navigating ? null : bounds}
           follow={follow}
           onUserPan={() => setFollow(false)}
         />
         <TapToSet
-          mode={tapMode}
+          mode={zoneEditor.draft ? null : tapMode}
           onSet={(latlng, which) => {
-            if (which === "driver") setDriver(latlng);
-            if (which === "dest") setDest(latlng);
+            if (which === "driver") placeChecked(latlng, "driver", setDriver);
+            if (which === "dest") placeChecked(latlng, "dropoff", setDestination);
+            if (which === "stop") placeChecked(latlng, "stop", addStop);
+            if (which === "pickup") placeChecked(latlng, "pickup", setPickup);
             setTapMode(null);
           }}
         />
+        <GeofenceLayer zones={fences.zones} editor={zoneEditor} />
 
-        {/* User */}
-        <Marker position={position}>
-          <Popup>
-            User (You)
-            <br />
-            Accuracy: {accuracy ? Math.round(accuracy) : "—"} m
-          </Popup>
-        </Marker>
-        {accuracy && <Circle center={position} radius={accuracy} />}
+        {showNearby && <NearbyDriversLayer drivers={nearby.drivers} />}
+
+        {/* User (the vehicle in driver mode) */}
+        <MapMarker position={shownPosition} icon={isDriver ? MODE_ICONS[travelMode] : null}>
+          {isDriver ? "Driver (You)" : "User (You)"}
+          {userAddress && (
+            <>
+              <br />
+              {userAddress}
+            </>
+          )}
+          <br />
+          Accuracy: {accuracy ? Math.round(accuracy) : "—"} m
+          <br />
+          Speed: {motion ? `${(motion.speed * 3.6).toFixed(0)} km/h` : "—"}
+          {motion?.heading != null ? ` · ${Math.round(motion.heading)}°` : ""}
+        </MapMarker>
+        {accuracy && <MapCircle center={position} radius={accuracy} />}
 
         {/* Driver */}
-        {isLatLng(driver) && (
-          <Marker position={driver}>
-            <Popup>Driver</Popup>
-          </Marker>
+        {!isDriver && isLatLng(driverShown) && (
+          <MapMarker position={driverShown} icon={MODE_ICONS[travelMode]}>
+            {mode.label}
+            {ride?.driver?.name ? `: ${ride.driver.name}` : ""}
+          </MapMarker>
+        )}
+
+        {/* Pickup point (rider walks there / driver heads there) */}
+        {fromPickup && isLatLng(pickup) && (
+          <MapMarker position={pickup}>
+            Pickup point
+            <br />
+            {isDriver ? (
+              pickupAddress
+            ) : (
+              <button onClick={() => setPickup(null)}>Pick me up here instead</button>
+            )}
+          </MapMarker>
         )}
 
         {/* Destination */}
         {isLatLng(dest) && (
-          <Marker position={dest}>
-            <Popup>Destination</Popup>
-          </Marker>
+          <MapMarker position={dest}>
+            Destination
+            {(dropoff.label || destAddress) && (
+              <>
+                <br />
+                {dropoff.label || destAddress}
+              </>
+            )}
+          </MapMarker>
+        )}
+
+        {/* Intermediate stops */}
+        {stops.slice(0, -1).map((s, i) => (
+          <MapMarker key={s.id} position={s.latlng}>
+            Stop {i + 1}
+            {s.label && (
+              <>
+                <br />
+                {s.label}
+              </>
+            )}
+          </MapMarker>
+        ))}
+
+        {/* Recorded breadcrumb */}
+        {recorder.trace.length > 1 && (
+          <MapPolyline
+            positions={breadcrumb}
+            weight={4}
+            color="#7c3aed"
+            dashArray="4 6"
+          />
         )}
 
-        {/* Routes (kept during fetch to avoid blinking) */}
-        {routeDU.length > 0 && (
-          <Polyline positions={routeDU} weight={6} color="#1e90ff" />
+        {/* Walk to the pickup point */}
+        {walkToPickup && routeWalk.length > 0 && (
+          <MapPolyline positions={routeWalk} weight={5} color="#6b7280" dashArray="2 8" />
+        )}
+
+        {/* Routes (kept during fetch to avoid blinking); alternatives are tappable */}
+        {showOptions &&
+          optionsUD.map((r, i) =>
+            i === activeUD ? null : (
+              <MapPolyline
+                key={`alt-${i}`}
+                positions={r.path}
+                weight={5}
+                color="#9ca3af"
+                opacity={0.8}
+                onClick={() => chooseRoute(i)}
+              />
+            )
+          )}
+        {routeDU.length > 0 && !pickedUp && !(navigating && nav && navLeg === "DU") && (
+          <MapPolyline positions={routeDU} weight={6} color="#1e90ff" />
+        )}
+        {routeUD.length > 0 && !(navigating && nav && navLeg === "UD") && (
+          <MapPolyline positions={routeUD} weight={6} color="#34d399" />
         )}
-        {routeUD.length > 0 && (
-          <Polyline positions={routeUD} weight={6} color="#34d399" />
+        {navigating && nav && (
+          <>
+            <MapPolyline positions={nav.travelled} weight={6} color="#9ca3af" />
+            <MapPolyline positions={nav.remaining} weight={7} color="#059669" />
+          </>
         )}
-      </MapContainer>
+      </MapSurface>
 
       {/* Follow / Recenter */}
       {!follow && (
@@ -397,6 +1073,86 @@ export default function RideMapMultiLeg() {
         </button>
       )}
 
+      {navigating && <NavBanner nav={nav} onExit={toggleNavigation} />}
+
+      {showTrips && <TripPanel recorder={recorder} onClose={() => setShowTrips(false)} />}
+      {showTiles && (
+        <OfflineTilesPanel
+          tiles={offlineTiles}
+          source={tileConfig}
+          view={mapView}
+          onClose={() => setShowTiles(false)}
+        />
+      )}
+
+      {showZones && (
+        <GeofenceEditor
+          fences={fences}
+          editor={zoneEditor}
+          onClose={() => {
+            zoneEditor.cancel();
+            setShowZones(false);
+          }}
+        />
+      )}
+
+      {fenceIssue && (
+        <div
+          style={{
+            position: "fixed",
+            top: 110,
+            left: 10,
+            width: "min(420px, calc(100% - 20px))",
+            zIndex: 10000,
+          }}
+        >
+          <FenceNotice
+            issue={fenceIssue}
+            onUse={() => {
+              fenceIssue.apply(fenceIssue.suggestion.latlng);
+              setFenceIssue(null);
+            }}
+            onDismiss={() => setFenceIssue(null)}
+          />
+        </div>
+      )}
+
+      {showSim && (
+        <SimulatorPanel
+          sim={sim}
+          canUseRoute={navRoute.length > 1}
+          onLoadTrack={startSimulation}
+          onUseRoute={() => startSimulation(trackFromPath(navRoute))}
+          onStop={stopSimulation}
+          onClose={() => setShowSim(false)}
+        />
+      )}
+
+      {/* Destination search */}
+      {!navigating && !isDriver && (
+        <div
+          style={{
+            position: "fixed",
+            top: 56,
+            left: 10,
+            width: "min(420px, calc(100% - 110px))",
+            zIndex: 10000,
+          }}
+        >
+          <SearchBox
+            geocoder={geocoder}
+            near={position}
+            placeholder={tapMode === "stop" ? "Add a stop…" : "Where to?"}
+            onSelect={(place) => {
+              if (tapMode === "stop") placeChecked(place.latlng, "stop", (p) => addStop(p, place.label));
+              else placeChecked(place.latlng, "dropoff", (p) => setDestination(p, place.label));
+              setTapMode(null);
+              setFollow(true);
+            }}
+          />
+        </div>
+      )}
+
       {/* Controls */}
       <div
         style={{
@@ -408,32 +1164,167 @@ export default function RideMapMultiLeg() {
           zIndex: 10000,
         }}
       >
+        {apiConfig.baseUrl && (
+          <button
+            onClick={switchRole}
+            disabled={!!trip && !isTerminal(trip.state)}
+            style={{
+              border: "1px solid #ddd",
+              background: isDriver ? "#111" : "#fff",
+              color: isDriver ? "#fff" : undefined,
+              borderRadius: 10,
+              padding: "8px 12px",
+              fontWeight: 700,
+              cursor: "pointer",
+            }}
+          >
+            {isDriver ? "Driver mode" : "Rider mode"}
+          </button>
+        )}
+        {!driverTransport && !isDriver && (
+          <button
+            onClick={() => setTapMode(tapMode === "driver" ? null : "driver")}
+            style={{
+              border: "1px solid #ddd",
+              background: tapMode === "driver" ? "#dbeafe" : "#fff",
+              borderRadius: 10,
+              padding: "8px 12px",
+              fontWeight: 700,
+              cursor: "pointer",
+            }}
+          >
+            {tapMode === "driver" ? "Tap map: set Driver" : "Set Driver"}
+          </button>
+        )}
+        {!isDriver && (
+          <button
+            onClick={() => setTapMode(tapMode === "dest" ? null : "dest")}
+            style={{
+              border: "1px solid #ddd",
+              background: tapMode === "dest" ? "#dcfce7" : "#fff",
+              borderRadius: 10,
+              padding: "8px 12px",
+              fontWeight: 700,
+              cursor: "pointer",
+            }}
+          >
+            {tapMode === "dest" ? "Tap map: set Destination" : "Set Destination"}
+          </button>
+        )}
+        {!trip && !isDriver && (
+          <button
+            onClick={() => setTapMode(tapMode === "pickup" ? null : "pickup")}
+            style={{
+              border: "1px solid #ddd",
+              background: tapMode === "pickup" ? "#f3e8ff" : "#fff",
+              borderRadius: 10,
+              padding: "8px 12px",
+              fontWeight: 700,
+              cursor: "pointer",
+            }}
+          >
+            {tapMode === "pickup" ? "Tap map: set Pickup" : "Set Pickup"}
+          </button>
+        )}
+        <button
+          onClick={() => {
+            setShowTrips((v) => !v);
+            setShowTiles(false);
+            setShowZones(false);
+          }}
+          style={{
+            border: "1px solid #ddd",
+            background: recording ? "#fee2e2" : "#fff",
+            borderRadius: 10,
+            padding: "8px 12px",
+            fontWeight: 700,
+            cursor: "pointer",
+          }}
+        >
+          {recording ? "● Rec" : "Trips"}
+        </button>
         <button
-          onClick={() => setTapMode(tapMode === "driver" ? null : "driver")}
+          onClick={() => {
+            setShowTiles((v) => !v);
+            setShowTrips(false);
+            setShowZones(false);
+          }}
           style={{
             border: "1px solid #ddd",
-            background: tapMode === "driver" ? "#dbeafe" : "#fff",
+            background: offlineTiles.progress ? "#ccfbf1" : "#fff",
             borderRadius: 10,
             padding: "8px 12px",
             fontWeight: 700,
             cursor: "pointer",
           }}
         >
-          {tapMode === "driver" ? "Tap map: set Driver" : "Set Driver"}
+          {offlineTiles.progress
+            ? `↓ ${Math.round((100 * offlineTiles.progress.done) / Math.max(1, offlineTiles.progress.total))}%`
+            : "Offline"}
         </button>
+        {geofenceConfig.editor && (
+          <button
+            onClick={() => {
+              setShowZones((v) => !v);
+              setShowTrips(false);
+              setShowTiles(false);
+            }}
+            style={{
+              border: "1px solid #ddd",
+              background: zoneEditor.draft ? "#fef3c7" : "#fff",
+              borderRadius: 10,
+              padding: "8px 12px",
+              fontWeight: 700,
+              cursor: "pointer",
+            }}
+          >
+            Zones
+          </button>
+        )}
         <button
-          onClick={() => setTapMode(tapMode === "dest" ? null : "dest")}
+          onClick={() => setShowSim((v) => !v)}
           style={{
             border: "1px solid #ddd",
-            background: tapMode === "dest" ? "#dcfce7" : "#fff",
+            background: sim ? "#e0e7ff" : "#fff",
             borderRadius: 10,
             padding: "8px 12px",
             fontWeight: 700,
             cursor: "pointer",
           }}
         >
-          {tapMode === "dest" ? "Tap map: set Destination" : "Set Destination"}
+          {sim ? "Sim ●" : "Sim"}
         </button>
+        {navRoute.length > 0 && !navigating && (
+          <button
+            onClick={toggleNavigation}
+            style={{
+              border: "1px solid #0f766e",
+              background: "#0f766e",
+              color: "#fff",
+              borderRadius: 10,
+              padding: "8px 12px",
+              fontWeight: 700,
+              cursor: "pointer",
+            }}
+          >
+            Navigate
+          </button>
+        )}
+        {isLatLng(dest) && !pickedUp && !isDriver && (
+          <button
+            onClick={() => setTapMode(tapMode === "stop" ? null : "stop")}
+            style={{
+              border: "1px solid #ddd",
+              background: tapMode === "stop" ? "#fef3c7" : "#fff",
+              borderRadius: 10,
+              padding: "8px 12px",
+              fontWeight: 700,
+              cursor: "pointer",
+            }}
+          >
+            {tapMode === "stop" ? "Tap map / search: add Stop" : "Add Stop"}
+          </button>
+        )}
       </div>
 
       {/* Bottom info */}
@@ -455,17 +1346,48 @@ export default function RideMapMultiLeg() {
           fontFamily: "system-ui,-apple-system,Segoe UI,Roboto,sans-serif",
         }}
       >
-        <div style={{ fontSize: 14 }}>
-          <div style={{ fontWeight: 800, marginBottom: 4 }}>Driver → You</div>
-          <div>
-            {kmDU ? `${kmDU} km` : "—"} · {minDU ? `${minDU} min` : "—"}
+        {pickedUp ? (
+          <div style={{ fontSize: 14 }}>
+            <div style={{ fontWeight: 800, marginBottom: 4 }}>Trip progress</div>
+            <div>
+              Picked up {clockTime(trip.timestamps[RIDE_STATES.IN_PROGRESS])}
+              {trip.timestamps[RIDE_STATES.COMPLETED]
+                ? ` · dropped off ${clockTime(trip.timestamps[RIDE_STATES.COMPLETED])}`
+                : ""}
+            </div>
+            <div style={{ fontSize: 12, opacity: 0.7 }}>
+              Travelled {(travelled / 1000).toFixed(2)} km
+            </div>
           </div>
-        </div>
+        ) : (
+          <div style={{ fontSize: 14 }}>
+            <div style={{ fontWeight: 800, marginBottom: 4 }}>
+              {isDriver ? "You → Pickup" : walkToPickup ? "Driver → Pickup" : "Driver → You"}
+            </div>
+            <div>
+              {driverArrived
+                ? isDriver
+                  ? "At pickup"
+                  : "Driver has arrived"
+                : `${liveKmDU ? `${liveKmDU} km` : "—"} · ${liveMinDU ? `${liveMinDU} min` : "—"}`}
+            </div>
+            {walkToPickup && liveWalk && (
+              <div style={{ fontSize: 12, opacity: 0.7 }}>
+                {TRAVEL_MODES.walking.icon} Walk to pickup {(liveWalk.remainingMeters / 1000).toFixed(2)} km ·{" "}
+                {liveMinWalk} min
+              </div>
+            )}
+          </div>
+        )}
 
         <div style={{ fontSize: 14 }}>
-          <div style={{ fontWeight: 800, marginBottom: 4 }}>You → Destination</div>
+          <div style={{ fontWeight: 800, marginBottom: 4 }}>
+            {pickedUp ? "Remaining" : isDriver ? "Pickup → Dropoff" : "You → Destination"}
+          </div>
           <div>
-            {kmUD ? `${kmUD} km` : "—"} · {minUD ? `${minUD} min` : "—"}
+            {riderArrived
+              ? "You've arrived"
+              : `${liveKmUD ? `${liveKmUD} km` : "—"} · ${liveMinUD ? `${liveMinUD} min` : "—"}`}
           </div>
         </div>
 
@@ -476,24 +1398,174 @@ export default function RideMapMultiLeg() {
           </div>
         </div>
 
+        {showOptions && (
+          <div style={{ gridColumn: "1 / -1" }}>
+            <RouteChooser routes={optionsUD} active={activeUD} fareOf={routeFare} onSelect={chooseRoute} />
+          </div>
+        )}
+
+        {stops.length > 1 && (
+          <div style={{ gridColumn: "1 / -1" }}>
+            <StopList
+              stops={stops}
+              legs={legsUD}
+              labelOf={stopLabel}
+              onMove={moveStop}
+              onRemove={removeStop}
+              disabled={!!trip}
+            />
+          </div>
+        )}
+
+        <div style={{ gridColumn: "1 / -1", fontSize: 14 }}>
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <div style={{ fontWeight: 800 }}>{metered ? "Meter" : "Fare"}</div>
+            <select
+              value={travelMode}
+              onChange={(e) => changeTravelMode(e.target.value)}
+              disabled={!!trip || isDriver}
+              aria-label="Travel mode"
+              style={{ border: "1px solid #ddd", borderRadius: 8, padding: "2px 6px" }}
+            >
+              {Object.entries(TRAVEL_MODES).map(([id, m]) => (
+                <option key={id} value={id}>
+                  {m.icon} {m.label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={vehicleClass}
+              onChange={(e) => setVehicleClass(e.target.value)}
+              disabled={!!trip || isDriver}
+              style={{ border: "1px solid #ddd", borderRadius: 8, padding: "2px 6px" }}
+            >
+              {Object.entries(fareConfig.rates).map(([key, r]) => (
+                <option key={key} value={key}>
+                  {r.label}
+                </option>
+              ))}
+            </select>
+            <div style={{ marginLeft: "auto", fontSize: 18, fontWeight: 900 }}>
+              {metered
+                ? formatMoney(metered.total, metered.currency)
+                : quote
+                ? formatMoney(quote.total, quote.currency)
+                : "—"}
+            </div>
+          </div>
+          {metered && (
+            <div style={{ fontSize: 12, marginTop: 2 }}>
+              {(meter.distance / 1000).toFixed(2)} km · {formatElapsed(meter.elapsed)} ·{" "}
+              {formatElapsed(meter.waiting)} waiting
+              {quote ? ` · quoted ${formatMoney(quote.total, quote.currency)}` : ""}
+            </div>
+          )}
+          {(metered || quote) && (
+            <div style={{ fontSize: 12, opacity: 0.7, marginTop: 2 }}>{fareBreakdownText(metered || quote)}</div>
+          )}
+        </div>
+
+        {metered && !meter.running && (
+          <div style={{ gridColumn: "1 / -1" }}>
+            <TripSummary meter={meter} fare={metered} quote={quote} />
+          </div>
+        )}
+
+        {trip ? (
+          <div style={{ gridColumn: "1 / -1", display: "flex", gap: 8, alignItems: "center" }}>
+            <div style={{ flex: 1, fontWeight: 800 }}>
+              {riderArrived && trip.state === RIDE_STATES.IN_PROGRESS ? "You've arrived" : tripLabels[trip.state]}
+              {!isDriver && ride?.driver?.name && !isTerminal(trip.state) ? ` · ${ride.driver.name}` : ""}
+            </div>
+            {nextAction[trip.state] && (
+              <button
+                onClick={() => advanceTrip(nextAction[trip.state][0])}
+                style={{
+                  border: "1px solid #111",
+                  background: "#111",
+                  color: "#fff",
+                  borderRadius: 10,
+                  padding: "8px 12px",
+                  fontWeight: 700,
+                  cursor: "pointer",
+                }}
+              >
+                {nextAction[trip.state][1]}
+              </button>
+            )}
+            {/* a driver's accept is in flight while "requested" */}
+            {!isTerminal(trip.state) && !(isDriver && trip.state === RIDE_STATES.REQUESTED) && (
+              <button
+                onClick={() => advanceTrip(RIDE_STATES.CANCELLED)}
+                style={{
+                  border: "1px solid #ddd",
+                  background: "#fff",
+                  borderRadius: 10,
+                  padding: "8px 12px",
+                  fontWeight: 700,
+                  cursor: "pointer",
+                }}
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        ) : isDriver ? (
+          shift.offer ? (
+            <div style={{ gridColumn: "1 / -1" }}>
+              <OfferCard
+                offer={shift.offer}
+                pickupLabel={pickupAddress || (isLatLng(pickup) ? `${pickup[0].toFixed(5)}, ${pickup[1].toFixed(5)}` : "—")}
+                dropoffLabel={destAddress || (isLatLng(dest) ? `${dest[0].toFixed(5)}, ${dest[1].toFixed(5)}` : "—")}
+                toPickup={liveKmDU && liveMinDU ? `${liveKmDU} km · ${liveMinDU} min` : null}
+                trip={kmUD && minUD ? `${kmUD} km · ${minUD} min` : null}
+                onAccept={acceptOffer}
+                onDecline={shift.decline}
+              />
+            </div>
+          ) : (
+            <div style={{ gridColumn: "1 / -1", display: "flex", gap: 8, alignItems: "center" }}>
+              <div style={{ flex: 1, fontWeight: 800 }}>
+                {shift.online ? "Online · waiting for ride offers…" : "Offline"}
+              </div>
+              <button
+                onClick={shift.online ? shift.goOffline : shift.goOnline}
+                style={{
+                  border: "1px solid #111",
+                  background: shift.online ? "#fff" : "#111",
+                  color: shift.online ? "#111" : "#fff",
+                  borderRadius: 10,
+                  padding: "8px 12px",
+                  fontWeight: 700,
+                  cursor: "pointer",
+                }}
+              >
+                {shift.online ? "Go offline" : "Go online"}
+              </button>
+            </div>
+          )
+        ) : (
+          <button
+            onClick={onRequestRide}
+            disabled={requestDisabled}
+            style={{
+              gridColumn: "1 / -1",
+              border: "1px solid #111",
+              background: "#111",
+              color: "#fff",
+              borderRadius: 10,
+              padding: "8px 12px",
+              fontWeight: 700,
+              cursor: "pointer",
+              opacity: requestDisabled ? 0.5 : 1,
+            }}
+          >
+            {requesting ? "Finding a driver…" : "Request ride"}
+          </button>
+        )}
+
         <button
-          onClick={() => {
-            setDriver(null);
-            setDest(null);
-            setKmDU(null);
-            setKmUD(null);
-            setMinDU(null);
-            setMinUD(null);
-            setError("");
-            setFollow(true);
-            // keep routes as-is, they will refresh when points are set again
-            setRouteDU([]);
-            setRouteUD([]);
-            lastDU.current = { from: null, to: null, ts: 0 };
-            lastUD.current = { from: null, to: null, ts: 0 };
-            abortDU.current?.abort?.();
-            abortUD.current?.abort?.();
-          }}
+          onClick={clearTrip}
           style={{
             gridColumn: "1 / -1",
             border: "1px solid #ddd",
@@ -529,9 +1601,59 @@ export default function RideMapMultiLeg() {
       >
         <div>
           <b>Status:</b>{" "}
-          {loadingDU || loadingUD ? "Fetching routes…" : "Idle"}
+          {offRoute ? "Rerouting…" : loadingDU || loadingUD || loadingWalk ? "Fetching routes…" : "Idle"}
+        </div>
+        <div>
+          Map: {MAP_RENDERERS[renderer].label}{" "}
+          <button
+            onClick={() => setRenderer(renderer === "maplibre" ? "leaflet" : "maplibre")}
+            style={{ border: "none", background: "none", padding: 0, color: "#1e90ff", cursor: "pointer", fontSize: 12 }}
+          >
+            switch
+          </button>
         </div>
-        {error && <div style={{ color: "#c00" }}>{error}</div>}
+        {driverTransport && !isDriver && <div>Driver feed: {feed.status}</div>}
+        {isDriver && shift.error && <div style={{ color: "#c00" }}>{shift.error}</div>}
+        {fences.error && <div style={{ color: "#c00" }}>{fences.error}</div>}
+        {showNearby && apiConfig.baseUrl && (
+          <div>
+            Nearby: {nearby.error ? <span style={{ color: "#c00" }}>{nearby.error}</span> : `${nearby.drivers.length} available`}
+          </div>
+        )}
+        {routingConfig.cacheSize > 0 && (
+          <div>
+            Route cache: {cacheStats.hits} hit{cacheStats.hits === 1 ? "" : "s"}
+            {cacheStats.diskHits ? ` (${cacheStats.diskHits} from disk)` : ""} · {cacheStats.misses} miss
+            {cacheStats.misses === 1 ? "" : "es"} · {cacheStats.size} kept{" "}
+            <button
+              onClick={() => routeCache.clear()}
+              style={{ border: "none", background: "none", padding: 0, color: "#1e90ff", cursor: "pointer", fontSize: 12 }}
+            >
+              clear
+            </button>
+          </div>
+        )}
+        {routingHealth.state !== CIRCUIT.CLOSED && (
+          <div style={{ color: "#b45309" }}>
+            {routingHealth.state === CIRCUIT.HALF_OPEN
+              ? `Trying ${routingHealth.primary} again…`
+              : `${routingHealth.primary} paused (${
+                  ROUTE_ERROR_TEXT[routingHealth.lastError?.kind] || "unavailable"
+                }) — using ${routingHealth.fallback} until ${clockTime(routingHealth.openUntil)}`}
+          </div>
+        )}
+        {error && (
+          <div style={{ color: "#c00" }}>
+            {ROUTE_ERROR_TEXT[error.kind] ? (
+              <>
+                {ROUTE_ERROR_TEXT[error.kind]} — showing straight-line estimate.
+                <div style={{ opacity: 0.7 }}>{error.message}</div>
+              </>
+            ) : (
+              error.message
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
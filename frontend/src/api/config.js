@@ -0,0 +1,8 @@
+/* ---------- Backend API config (Vite env) ----------
+ * VITE_API_URL   ride-matching backend, e.g. http://localhost:3001
+ */
+const env = import.meta.env ?? {};
+
+export const apiConfig = {
+  baseUrl: (env.VITE_API_URL || "").replace(/\/+$/, ""),
+};
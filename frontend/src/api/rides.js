@@ -0,0 +1,63 @@
+/* ---------- Ride-matching API client ---------- */
+import { apiConfig } from "./config.js";
+
+async function request(method, path, body) {
+  const res = await fetch(`${apiConfig.baseUrl}${path}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(`API ${res.status}${data?.error ? `: ${data.error}` : ""}`);
+  return data;
+}
+
+// → { id, state: "requested" | "accepted" | "cancelled", driver: { id, name, location }, eta, fare, timestamps }
+// "requested" while a driver app decides on the offer; poll getRide until it moves on
+export function requestRide({ pickup, stops = [], dropoff, vehicleClass }) {
+  return request("POST", "/rides", { pickup, stops, dropoff, vehicleClass });
+}
+
+export function getRide(id) {
+  return request("GET", `/rides/${encodeURIComponent(id)}`);
+}
+
+// Lifecycle transition, see ride/lifecycle.js
+export function updateRideState(id, state) {
+  return request("POST", `/rides/${encodeURIComponent(id)}/state`, { state });
+}
+
+// Available drivers around a point, closest first → [{ id, name, location, heading, km }]
+export function nearbyDrivers([lat, lon], { radiusKm, limit } = {}) {
+  const q = new URLSearchParams({ lat, lon });
+  if (radiusKm) q.set("radiusKm", radiusKm);
+  if (limit) q.set("limit", limit);
+  return request("GET", `/drivers/nearby?${q}`);
+}
+
+/* ---------- Driver app ---------- */
+// acceptsOffers: rides come as timed offers (see getOffer) instead of being assigned
+export function registerDriver({ id, name, location }) {
+  return request("POST", "/drivers", { id, name, lat: location[0], lon: location[1], acceptsOffers: true });
+}
+
+export function updateDriverLocation(id, [lat, lon]) {
+  return request("PUT", `/drivers/${encodeURIComponent(id)}/location`, { lat, lon });
+}
+
+export function unregisterDriver(id) {
+  return request("DELETE", `/drivers/${encodeURIComponent(id)}`);
+}
+
+// → ride with offer: { driver, eta, expiresInMs }, or null when nothing is offered
+export function getOffer(driverId) {
+  return request("GET", `/drivers/${encodeURIComponent(driverId)}/offer`);
+}
+
+export function acceptOffer(rideId, driverId) {
+  return request("POST", `/rides/${encodeURIComponent(rideId)}/accept`, { driverId });
+}
+
+export function declineOffer(rideId, driverId) {
+  return request("POST", `/rides/${encodeURIComponent(rideId)}/decline`, { driverId });
+}
@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from "react";
+import { formatMoney } from "../ride/fare.js";
+
+/* ---------- Incoming ride offer with accept/decline countdown ----------
+ * offer: { ride, deadline, timeoutMs } from useDriverShift.
+ * toPickup / trip: "1.20 km · 4 min" style text from the map's legs, or null.
+ */
+export default function OfferCard({ offer, pickupLabel, dropoffLabel, toPickup, trip, onAccept, onDecline }) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(id);
+  }, []);
+
+  const { ride } = offer;
+  const left = Math.max(0, offer.deadline - now);
+  const stops = ride.stops?.length || 0;
+
+  return (
+    <div
+      role="alertdialog"
+      aria-label="Ride offer"
+      style={{ border: "2px solid #111", borderRadius: 12, padding: 10, fontSize: 14 }}
+    >
+      <div style={{ display: "flex", alignItems: "baseline", gap: 8 }}>
+        <b style={{ flex: 1 }}>New ride</b>
+        {ride.fare && <b style={{ fontSize: 18 }}>{formatMoney(ride.fare.total, ride.fare.currency)}</b>}
+      </div>
+      <div>
+        <span style={{ opacity: 0.7 }}>Pickup</span> {pickupLabel}
+        {toPickup ? <span style={{ opacity: 0.7 }}> · {toPickup} away</span> : null}
+      </div>
+      <div>
+        <span style={{ opacity: 0.7 }}>Dropoff</span> {dropoffLabel}
+        {stops ? <span style={{ opacity: 0.7 }}> · {stops} stop{stops === 1 ? "" : "s"} on the way</span> : null}
+      </div>
+      {trip && <div style={{ opacity: 0.7, fontSize: 12 }}>Trip {trip}</div>}
+
+      <div style={{ height: 4, background: "#eee", borderRadius: 2, margin: "8px 0" }}>
+        <div
+          style={{
+            height: "100%",
+            width: `${(100 * left) / Math.max(1, offer.timeoutMs)}%`,
+            background: left < 5000 ? "#dc2626" : "#111",
+            borderRadius: 2,
+          }}
+        />
+      </div>
+
+      <div style={{ display: "flex", gap: 8 }}>
+        <button
+          onClick={onDecline}
+          style={{
+            flex: 1,
+            border: "1px solid #ddd",
+            background: "#fff",
+            borderRadius: 10,
+            padding: "8px 12px",
+            fontWeight: 700,
+            cursor: "pointer",
+          }}
+        >
+          Decline
+        </button>
+        <button
+          onClick={onAccept}
+          style={{
+            flex: 2,
+            border: "1px solid #059669",
+            background: "#059669",
+            color: "#fff",
+            borderRadius: 10,
+            padding: "8px 12px",
+            fontWeight: 700,
+            cursor: "pointer",
+          }}
+        >
+          Accept · {Math.ceil(left / 1000)} s
+        </button>
+      </div>
+    </div>
+  );
+}
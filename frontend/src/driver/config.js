@@ -0,0 +1,12 @@
+/* ---------- Driver app config (Vite env) ----------
+ * VITE_DRIVER_NAME         name riders see once an offer is accepted (default "Driver")
+ * VITE_OFFER_POLL_MS       how often to ask the backend for ride offers (default 2000)
+ * VITE_DRIVER_PUSH_M       position change that is sent to the backend (default 20)
+ */
+const env = import.meta.env ?? {};
+
+export const driverConfig = {
+  name: env.VITE_DRIVER_NAME || "Driver",
+  offerPollMs: Number(env.VITE_OFFER_POLL_MS) || 2000,
+  pushM: Number(env.VITE_DRIVER_PUSH_M) || 20,
+};
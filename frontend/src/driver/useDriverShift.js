@@ -0,0 +1,117 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { distanceMeters, isLatLng } from "../geo.js";
+import {
+  acceptOffer,
+  declineOffer,
+  getOffer,
+  registerDriver,
+  unregisterDriver,
+  updateDriverLocation,
+} from "../api/rides.js";
+import { driverConfig } from "./config.js";
+
+/* ---------- Driver shift: online presence, location and ride offers ----------
+ * position: the device's [lat, lon] — in driver mode the GPS is the vehicle.
+ * offer: { ride, deadline, timeoutMs } while a ride is offered to us; the
+ * deadline is on the local clock (backend sends time left, not a timestamp).
+ */
+export function useDriverShift(position) {
+  const [driverId, setDriverId] = useState(null); // set while online
+  const [offer, setOffer] = useState(null);
+  const [error, setError] = useState("");
+  const positionRef = useRef(position);
+  positionRef.current = position;
+  const pushedRef = useRef(null); // last position the backend has
+  const answeredRef = useRef(new Set()); // ride ids we accepted/declined (polls in flight may still return them)
+
+  const goOnline = useCallback(async () => {
+    if (!isLatLng(positionRef.current)) return;
+    setError("");
+    try {
+      const d = await registerDriver({ name: driverConfig.name, location: positionRef.current });
+      pushedRef.current = d.location;
+      setDriverId(d.id);
+    } catch (e) {
+      setError(e?.message || "Could not go online");
+    }
+  }, []);
+
+  const goOffline = useCallback(() => {
+    setDriverId(null);
+    setOffer(null);
+  }, []);
+
+  // going offline (or leaving driver mode) takes us out of matching
+  useEffect(() => {
+    if (!driverId) return;
+    return () => {
+      unregisterDriver(driverId).catch(() => {});
+    };
+  }, [driverId]);
+
+  /* ---------- Location (only meaningful moves) ---------- */
+  useEffect(() => {
+    if (!driverId || !isLatLng(position)) return;
+    if (pushedRef.current && distanceMeters(pushedRef.current, position) < driverConfig.pushM) return;
+    pushedRef.current = position;
+    updateDriverLocation(driverId, position).catch((e) => setError(e?.message || "Location update failed"));
+  }, [driverId, position]);
+
+  /* ---------- Offers ---------- */
+  useEffect(() => {
+    if (!driverId) return;
+    let stopped = false;
+    const poll = async () => {
+      try {
+        const ride = await getOffer(driverId);
+        if (stopped) return;
+        const open = ride?.offer && !answeredRef.current.has(ride.id) ? ride : null;
+        // same ride → keep the first deadline so the countdown doesn't jump per poll
+        setOffer((prev) =>
+          !open
+            ? null
+            : prev?.ride.id === open.id
+            ? prev
+            : { ride: open, deadline: Date.now() + open.offer.expiresInMs, timeoutMs: open.offer.expiresInMs }
+        );
+      } catch (e) {
+        if (!stopped) setError(e?.message || "Could not check for offers");
+      }
+    };
+    poll();
+    const id = setInterval(poll, driverConfig.offerPollMs);
+    return () => {
+      stopped = true;
+      clearInterval(id);
+    };
+  }, [driverId]);
+
+  // the backend passes an expired offer on; drop it here at the same moment
+  useEffect(() => {
+    if (!offer) return;
+    const t = setTimeout(() => setOffer((prev) => (prev === offer ? null : prev)), offer.deadline - Date.now());
+    return () => clearTimeout(t);
+  }, [offer]);
+
+  // → the accepted ride, or null when the offer was gone already
+  const accept = useCallback(async () => {
+    if (!offer) return null;
+    answeredRef.current.add(offer.ride.id);
+    setOffer(null);
+    try {
+      return await acceptOffer(offer.ride.id, driverId);
+    } catch (e) {
+      setError(e?.message || "Could not accept the ride");
+      return null;
+    }
+  }, [offer, driverId]);
+
+  const decline = useCallback(() => {
+    if (!offer) return;
+    answeredRef.current.add(offer.ride.id);
+    setOffer(null);
+    declineOffer(offer.ride.id, driverId).catch(() => {}); // expires anyway
+  }, [offer, driverId]);
+
+  return { online: !!driverId, driverId, offer, error, goOnline, goOffline, accept, decline };
+}
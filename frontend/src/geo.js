@@ -0,0 +1,35 @@
+/* ---------- Geo helpers ([lat, lon] everywhere) ---------- */
+export function roundGPS([lat, lon]) {
+  // ~1.1m precision
+  return [Number(lat.toFixed(5)), Number(lon.toFixed(5))];
+}
+
+export function haversineKm([lat1, lon1], [lat2, lon2]) {
+  const R = 6371;
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+export function distanceMeters(a, b) {
+  return haversineKm(a, b) * 1000;
+}
+
+export function isLatLng(v) {
+  return Array.isArray(v) && v.length === 2 && Number.isFinite(v[0]) && Number.isFinite(v[1]);
+}
+
+// Initial compass bearing a → b in degrees (0 = north, clockwise)
+export function bearingDeg([lat1, lon1], [lat2, lon2]) {
+  const toRad = Math.PI / 180;
+  const y = Math.sin((lon2 - lon1) * toRad) * Math.cos(lat2 * toRad);
+  const x =
+    Math.cos(lat1 * toRad) * Math.sin(lat2 * toRad) -
+    Math.sin(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos((lon2 - lon1) * toRad);
+  return (Math.atan2(y, x) / toRad + 360) % 360;
+}
@@ -0,0 +1,136 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const MIN_CHARS = 3;
+const DEBOUNCE_MS = 300;
+
+/* ---------- Address search with autocomplete ---------- */
+export default function SearchBox({ geocoder, near, onSelect, placeholder = "Where to?" }) {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [active, setActive] = useState(-1);
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState("");
+  const pickedRef = useRef(false); // don't search again for the label we just picked
+
+  // `near` only biases results; don't re-run the search on every GPS fix
+  const nearRef = useRef(near);
+  nearRef.current = near;
+
+  useEffect(() => {
+    if (pickedRef.current) {
+      pickedRef.current = false;
+      return;
+    }
+    const q = query.trim();
+    if (q.length < MIN_CHARS) {
+      setResults([]);
+      setError("");
+      return;
+    }
+    const controller = new AbortController();
+    const t = setTimeout(async () => {
+      try {
+        const found = await geocoder.search(q, { signal: controller.signal, near: nearRef.current });
+        setResults(found);
+        setActive(-1);
+        setOpen(true);
+        setError("");
+      } catch (e) {
+        if (e?.name === "AbortError") return;
+        setError(e?.message || "Search failed");
+      }
+    }, DEBOUNCE_MS);
+    return () => {
+      clearTimeout(t);
+      controller.abort();
+    };
+  }, [geocoder, query]);
+
+  const pick = (place) => {
+    pickedRef.current = true;
+    setQuery(place.label);
+    setResults([]);
+    setError("");
+    setOpen(false);
+    onSelect(place);
+  };
+
+  const onKeyDown = (e) => {
+    if (!open || !results.length) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive((i) => (i + 1) % results.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((i) => (i <= 0 ? results.length - 1 : i - 1));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      pick(results[Math.max(0, active)]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div style={{ position: "relative", fontFamily: "system-ui", fontSize: 14 }}>
+      <input
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={onKeyDown}
+        onFocus={() => results.length && setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        placeholder={placeholder}
+        aria-autocomplete="list"
+        style={{
+          width: "100%",
+          boxSizing: "border-box",
+          border: "1px solid #ddd",
+          borderRadius: 10,
+          padding: "8px 12px",
+          background: "#fff",
+          boxShadow: "0 2px 10px rgba(0,0,0,0.15)",
+        }}
+      />
+      {open && results.length > 0 && (
+        <ul
+          role="listbox"
+          style={{
+            position: "absolute",
+            top: "100%",
+            left: 0,
+            right: 0,
+            margin: "4px 0 0",
+            padding: 4,
+            listStyle: "none",
+            background: "#fff",
+            border: "1px solid #ddd",
+            borderRadius: 10,
+            boxShadow: "0 2px 10px rgba(0,0,0,0.15)",
+          }}
+        >
+          {results.map((place, i) => (
+            <li
+              key={`${place.latlng.join(",")}-${i}`}
+              role="option"
+              aria-selected={i === active}
+              onMouseDown={(e) => {
+                e.preventDefault(); // keep focus so onBlur doesn't close first
+                pick(place);
+              }}
+              onMouseEnter={() => setActive(i)}
+              style={{
+                padding: "6px 8px",
+                borderRadius: 6,
+                cursor: "pointer",
+                background: i === active ? "#f0f0f0" : "transparent",
+              }}
+            >
+              {place.label}
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <div style={{ color: "#c00", fontSize: 12, marginTop: 4 }}>{error}</div>}
+    </div>
+  );
+}
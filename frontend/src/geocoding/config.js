@@ -0,0 +1,10 @@
+/* ---------- Geocoding config (Vite env) ----------
+ * VITE_GEOCODER       "nominatim" | "photon" | "fixture"   (default "nominatim")
+ * VITE_GEOCODER_URL   base URL of a self-hosted geocoder
+ */
+const env = import.meta.env ?? {};
+
+export const geocodingConfig = {
+  provider: env.VITE_GEOCODER || "nominatim",
+  baseUrl: env.VITE_GEOCODER_URL || "",
+};
@@ -0,0 +1,9 @@
+/* ---------- Fixture places for VITE_GEOCODER=fixture ---------- */
+export const FIXTURE_PLACES = [
+  { label: "Trafalgar Square, London", latlng: [51.50809, -0.12804] },
+  { label: "King's Cross Station, Euston Road, London", latlng: [51.53088, -0.12385] },
+  { label: "British Museum, Great Russell Street, London", latlng: [51.51937, -0.12696] },
+  { label: "Tower of London, London", latlng: [51.50811, -0.07595] },
+  { label: "Paddington Station, Praed Street, London", latlng: [51.51544, -0.17554] },
+  { label: "Waterloo Station, London", latlng: [51.50322, -0.11328] },
+];
@@ -0,0 +1,118 @@
+/* ---------- Geocoding providers ----------
+ * Every geocoder exposes:
+ *   search(query, { signal, near, limit }) → [{ label, latlng }]
+ *   reverse(latlng, { signal })            → { label, latlng } | null
+ */
+import { distanceMeters } from "../geo.js";
+
+const DEFAULT_URLS = {
+  nominatim: "https://nominatim.openstreetmap.org",
+  photon: "https://photon.komoot.io",
+};
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, "");
+}
+
+async function getJson(name, url, signal) {
+  const res = await fetch(url, { signal, headers: { Accept: "application/json" } });
+  if (!res.ok) throw new Error(`${name} ${res.status}`);
+  return res.json();
+}
+
+/* ---------- Nominatim ---------- */
+export function nominatimGeocoder({ baseUrl } = {}) {
+  const base = trimSlash(baseUrl || DEFAULT_URLS.nominatim);
+  return {
+    name: "Nominatim",
+    async search(query, { signal, near, limit = 5 } = {}) {
+      const params = new URLSearchParams({ format: "jsonv2", q: query, limit: String(limit) });
+      if (near) {
+        // ~10 km box as a soft bias (bounded=0 still returns results outside)
+        const d = 0.1;
+        params.set("viewbox", `${near[1] - d},${near[0] + d},${near[1] + d},${near[0] - d}`);
+      }
+      const data = await getJson("Nominatim", `${base}/search?${params}`, signal);
+      return data.map((p) => ({ label: p.display_name, latlng: [Number(p.lat), Number(p.lon)] }));
+    },
+    async reverse([lat, lon], { signal } = {}) {
+      const params = new URLSearchParams({ format: "jsonv2", lat: String(lat), lon: String(lon), zoom: "18" });
+      const p = await getJson("Nominatim", `${base}/reverse?${params}`, signal);
+      if (!p || p.error) return null;
+      return { label: p.display_name, latlng: [Number(p.lat), Number(p.lon)] };
+    },
+  };
+}
+
+/* ---------- Photon ---------- */
+function photonLabel(props = {}) {
+  const street = [props.street, props.housenumber].filter(Boolean).join(" ");
+  return [props.name, street, props.city || props.county, props.country]
+    .filter((v, i, all) => v && all.indexOf(v) === i)
+    .join(", ");
+}
+
+function photonPlace(f) {
+  const [lon, lat] = f.geometry.coordinates;
+  return { label: photonLabel(f.properties), latlng: [lat, lon] };
+}
+
+export function photonGeocoder({ baseUrl } = {}) {
+  const base = trimSlash(baseUrl || DEFAULT_URLS.photon);
+  return {
+    name: "Photon",
+    async search(query, { signal, near, limit = 5 } = {}) {
+      const params = new URLSearchParams({ q: query, limit: String(limit) });
+      if (near) {
+        params.set("lat", String(near[0]));
+        params.set("lon", String(near[1]));
+      }
+      const data = await getJson("Photon", `${base}/api?${params}`, signal);
+      return (data.features || []).map(photonPlace);
+    },
+    async reverse([lat, lon], { signal } = {}) {
+      const params = new URLSearchParams({ lat: String(lat), lon: String(lon), limit: "1" });
+      const data = await getJson("Photon", `${base}/reverse?${params}`, signal);
+      const f = data.features?.[0];
+      return f ? photonPlace(f) : null;
+    },
+  };
+}
+
+/* ---------- Fixture (offline / tests) ---------- */
+// places: [{ label, latlng }]; substring match, nearest place for reverse
+export function fixtureGeocoder(places = []) {
+  return {
+    name: "Fixture",
+    async search(query, { limit = 5 } = {}) {
+      const q = query.trim().toLowerCase();
+      if (!q) return [];
+      return places.filter((p) => p.label.toLowerCase().includes(q)).slice(0, limit);
+    },
+    async reverse(latlng) {
+      let best = null;
+      let bestD = Infinity;
+      for (const p of places) {
+        const d = distanceMeters(p.latlng, latlng);
+        if (d < bestD) {
+          bestD = d;
+          best = p;
+        }
+      }
+      return best;
+    },
+  };
+}
+
+const GEOCODERS = {
+  nominatim: nominatimGeocoder,
+  photon: photonGeocoder,
+};
+
+export function createGeocoder(config = {}, fixtures = []) {
+  const key = (config.provider || "nominatim").toLowerCase();
+  if (key === "fixture") return fixtureGeocoder(fixtures);
+  const factory = GEOCODERS[key];
+  if (!factory) throw new Error(`Unknown geocoder "${config.provider}"`);
+  return factory(config);
+}
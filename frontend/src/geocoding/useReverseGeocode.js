@@ -0,0 +1,63 @@
+import { useEffect, useState } from "react";
+import { isLatLng } from "../geo.js";
+
+const DEBOUNCE_MS = 1500;
+const MIN_INTERVAL_MS = 1000; // public geocoders allow ~1 req/s across the whole app
+const CACHE_SIZE = 500;
+const cache = new Map(); // "lat,lon" (4 dp ≈ 11 m) → label | null, least recently used first
+let nextSlot = 0; // earliest time the next lookup may go out
+
+function keyOf([lat, lon]) {
+  return `${lat.toFixed(4)},${lon.toFixed(4)}`;
+}
+
+function remember(key, label) {
+  cache.delete(key);
+  cache.set(key, label);
+  while (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+}
+
+// Claim the next free request slot → ms to wait for it
+function reserveSlot() {
+  const now = Date.now();
+  const at = Math.max(now, nextSlot);
+  nextSlot = at + MIN_INTERVAL_MS;
+  return at - now;
+}
+
+/* ---------- Street address for a [lat, lon] (null while unknown) ---------- */
+export function useReverseGeocode(geocoder, latlng) {
+  const key = isLatLng(latlng) ? keyOf(latlng) : null;
+  const [result, setResult] = useState({ key: null, label: null });
+
+  useEffect(() => {
+    if (!key) return;
+    if (cache.has(key)) {
+      remember(key, cache.get(key));
+      return;
+    }
+    const controller = new AbortController();
+    const lookup = async () => {
+      if (cache.has(key)) return setResult({ key, label: cache.get(key) }); // another popup got there first
+      try {
+        const place = await geocoder.reverse(key.split(",").map(Number), { signal: controller.signal });
+        remember(key, place?.label || null);
+        setResult({ key, label: place?.label || null });
+      } catch {
+        // leave unresolved; the popup just shows no address
+      }
+    };
+    // wait for the point to settle, then for a free slot (other popups may be looking up too)
+    let t = setTimeout(() => {
+      t = setTimeout(lookup, reserveSlot());
+    }, DEBOUNCE_MS);
+    return () => {
+      clearTimeout(t);
+      controller.abort();
+    };
+  }, [geocoder, key]);
+
+  if (!key) return null;
+  if (cache.has(key)) return cache.get(key);
+  return result.key === key ? result.label : null;
+}
@@ -0,0 +1,63 @@
+import React from "react";
+
+const PURPOSE_LABELS = {
+  pickup: "Pickup",
+  stop: "Stop",
+  dropoff: "Destination",
+  driver: "Driver",
+};
+
+function formatDistance(m) {
+  return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(1)} km`;
+}
+
+/* ---------- A point a geofence refused ----------
+ * issue: { purpose, message, suggestion: { latlng, distance } | null } from
+ * checkPoint / nearestAllowedPoint; onUse moves the point to the suggestion.
+ */
+export default function FenceNotice({ issue, onUse, onDismiss }) {
+  return (
+    <div
+      role="alert"
+      style={{
+        background: "#fff7ed",
+        border: "1px solid #fdba74",
+        borderRadius: 10,
+        padding: "8px 10px",
+        boxShadow: "0 2px 10px rgba(0,0,0,0.15)",
+        fontFamily: "system-ui",
+        fontSize: 13,
+      }}
+    >
+      <div style={{ fontWeight: 800 }}>
+        {PURPOSE_LABELS[issue.purpose]}: {issue.message}
+      </div>
+      <div style={{ display: "flex", gap: 8, marginTop: 6 }}>
+        {issue.suggestion ? (
+          <button
+            onClick={onUse}
+            style={{
+              border: "1px solid #c2410c",
+              background: "#c2410c",
+              color: "#fff",
+              borderRadius: 8,
+              padding: "4px 8px",
+              fontWeight: 700,
+              cursor: "pointer",
+            }}
+          >
+            Use nearest allowed point ({formatDistance(issue.suggestion.distance)} away)
+          </button>
+        ) : (
+          <span style={{ opacity: 0.8 }}>No allowed point nearby.</span>
+        )}
+        <button
+          onClick={onDismiss}
+          style={{ border: "1px solid #ddd", background: "#fff", borderRadius: 8, padding: "4px 8px", cursor: "pointer" }}
+        >
+          Choose another
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import React, { useState } from "react";
+import { ZONE_KINDS, parseZones, zonesToGeoJSON } from "./zones.js";
+import { downloadFile } from "../trips/export.js";
+
+const linkButton = {
+  border: "none",
+  background: "none",
+  color: "#1e40af",
+  padding: 0,
+  cursor: "pointer",
+  fontSize: 12,
+  fontWeight: 700,
+};
+
+const button = {
+  border: "1px solid #ddd",
+  background: "#fff",
+  borderRadius: 8,
+  padding: "4px 8px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
+/* ---------- Zone editor (ops) ----------
+ * Draw polygons by tapping the map, import / export GeoJSON. Edits apply to
+ * this session only: publish the exported file (GEOFENCES_FILE on the backend,
+ * VITE_GEOFENCES_URL) to make them real.
+ */
+export default function GeofenceEditor({ fences, editor, onClose }) {
+  const { zones, setZones, reload } = fences;
+  const { draft } = editor;
+  const [kind, setKind] = useState("service_area");
+  const [name, setName] = useState("");
+  const [error, setError] = useState(null);
+
+  const importFile = async (file) => {
+    try {
+      const imported = parseZones(JSON.parse(await file.text()));
+      if (!imported.length) throw new Error("No zones in this file (features need properties.kind)");
+      setZones(imported);
+      setError(null);
+    } catch (e) {
+      setError(e?.message || "Could not read the file");
+    }
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top: 110,
+        right: 10,
+        width: 280,
+        maxHeight: "50vh",
+        overflowY: "auto",
+        zIndex: 10000,
+        background: "#fff",
+        border: "1px solid #ddd",
+        borderRadius: 12,
+        padding: 10,
+        boxShadow: "0 2px 10px rgba(0,0,0,0.15)",
+        fontFamily: "system-ui",
+        fontSize: 13,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8 }}>
+        <b style={{ flex: 1 }}>Zones</b>
+        <button onClick={onClose} style={linkButton} aria-label="Close">
+          ✕
+        </button>
+      </div>
+
+      {draft ? (
+        <div style={{ marginBottom: 8 }}>
+          <div>
+            Drawing {ZONE_KINDS[draft.kind].label}
+            {draft.name ? ` “${draft.name}”` : ""}: tap the map to add corners ({draft.points.length} so far)
+          </div>
+          <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+            <button style={button} disabled={draft.points.length < 3} onClick={editor.finish}>
+              Finish
+            </button>
+            <button style={button} disabled={!draft.points.length} onClick={editor.undo}>
+              Undo
+            </button>
+            <button style={button} onClick={editor.cancel}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 8 }}>
+          <select value={kind} onChange={(e) => setKind(e.target.value)} style={{ flex: 1 }}>
+            {Object.entries(ZONE_KINDS).map(([id, k]) => (
+              <option key={id} value={id}>
+                {k.label}
+              </option>
+            ))}
+          </select>
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name"
+            style={{ flex: 1, minWidth: 0 }}
+          />
+          <button
+            style={button}
+            onClick={() => {
+              editor.start(kind, name);
+              setName("");
+            }}
+          >
+            Draw
+          </button>
+        </div>
+      )}
+
+      {error && <div style={{ color: "#c00", marginBottom: 6 }}>{error}</div>}
+
+      {zones.map((z) => (
+        <div key={z.id} style={{ borderTop: "1px solid #eee", padding: "6px 0", display: "flex", gap: 8 }}>
+          <span style={{ width: 10, height: 10, borderRadius: 2, background: ZONE_KINDS[z.kind].color, marginTop: 4 }} />
+          <div style={{ flex: 1 }}>
+            <div style={{ fontWeight: 700 }}>{z.name || "Unnamed"}</div>
+            <div style={{ opacity: 0.7, fontSize: 12 }}>{ZONE_KINDS[z.kind].label}</div>
+          </div>
+          <button style={{ ...linkButton, color: "#b91c1c" }} onClick={() => editor.remove(z.id)}>
+            Delete
+          </button>
+        </div>
+      ))}
+      {!zones.length && <div style={{ opacity: 0.7, marginBottom: 6 }}>No zones: every point is allowed.</div>}
+
+      <div style={{ borderTop: "1px solid #eee", paddingTop: 6, display: "flex", flexWrap: "wrap", gap: 10 }}>
+        <button
+          style={linkButton}
+          disabled={!zones.length}
+          onClick={() =>
+            downloadFile(
+              "geofences.geojson",
+              JSON.stringify(zonesToGeoJSON(zones), null, 2),
+              "application/geo+json"
+            )
+          }
+        >
+          Export GeoJSON
+        </button>
+        <label style={{ ...linkButton, display: "inline" }}>
+          Import…
+          <input
+            type="file"
+            accept=".geojson,.json,application/geo+json"
+            style={{ display: "none" }}
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              e.target.value = "";
+              if (file) importFile(file);
+            }}
+          />
+        </label>
+        <button style={linkButton} onClick={reload}>
+          Revert to published
+        </button>
+      </div>
+    </div>
+  );
+}
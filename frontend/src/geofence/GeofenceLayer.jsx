@@ -0,0 +1,60 @@
+import React, { useEffect, useRef } from "react";
+import { useMapAdapter } from "../map/context.js";
+import { MapMarker, MapPolygon, MapPolyline } from "../map/layers.jsx";
+import { htmlIcon } from "../map/icons.js";
+import { ZONE_KINDS } from "./zones.js";
+
+// service area and airport grounds are outlines; where you may not / may stop is shaded
+const ZONE_STYLE = {
+  service_area: { weight: 2, fillOpacity: 0, dashArray: "6 6" },
+  no_stop: { weight: 2, fillOpacity: 0.25 },
+  airport: { weight: 2, fillOpacity: 0.05 },
+  airport_pickup: { weight: 2, fillOpacity: 0.3 },
+};
+
+const VERTEX_ICON = htmlIcon(
+  '<div style="width:10px;height:10px;border-radius:50%;background:#fff;border:2px solid #111;box-sizing:border-box"></div>',
+  [10, 10]
+);
+
+/* ---------- Geofence zones (+ the zone being drawn) ----------
+ * editor: useZoneEditor() result; while it has a draft, map taps add vertices.
+ */
+export default function GeofenceLayer({ zones, editor }) {
+  const map = useMapAdapter();
+  const drawing = Boolean(editor?.draft);
+  const addPointRef = useRef(null);
+  addPointRef.current = editor?.addPoint;
+
+  useEffect(() => {
+    if (!drawing) return;
+    return map.on("click", (latlng) => addPointRef.current?.(latlng));
+  }, [map, drawing]);
+
+  const draft = editor?.draft;
+  const draftColor = draft && ZONE_KINDS[draft.kind].color;
+
+  return (
+    <>
+      {zones.flatMap((z) =>
+        z.polygons.map((rings, i) => (
+          <MapPolygon key={`${z.id}-${i}`} positions={rings} color={ZONE_KINDS[z.kind].color} {...ZONE_STYLE[z.kind]} />
+        ))
+      )}
+      {draft && draft.points.length > 1 && (
+        <MapPolyline positions={draft.points} color={draftColor} weight={3} />
+      )}
+      {draft && draft.points.length > 2 && (
+        <MapPolyline
+          positions={[draft.points[draft.points.length - 1], draft.points[0]]}
+          color={draftColor}
+          weight={2}
+          dashArray="4 6"
+        />
+      )}
+      {draft?.points.map((p, i) => (
+        <MapMarker key={i} position={p} icon={VERTEX_ICON} zIndex={1000} />
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,14 @@
+/* ---------- Geofence config (Vite env) ----------
+ * VITE_GEOFENCES_URL     GeoJSON zones (see zones.js); default: the backend's
+ *                        GET /geofences when VITE_API_URL is set, else none
+ *                        (no restrictions)
+ * VITE_GEOFENCE_EDITOR   "1" shows the zone editor (ops: draw, import, export)
+ */
+import { apiConfig } from "../api/config.js";
+
+const env = import.meta.env ?? {};
+
+export const geofenceConfig = {
+  url: env.VITE_GEOFENCES_URL || (apiConfig.baseUrl ? `${apiConfig.baseUrl}/geofences` : null),
+  editor: env.VITE_GEOFENCE_EDITOR === "1",
+};
@@ -0,0 +1,37 @@
+import { useCallback, useEffect, useState } from "react";
+import { parseZones } from "./zones.js";
+
+/* ---------- Zones from the configured GeoJSON ----------
+ * → { zones, error, setZones, reload }. setZones replaces them for this
+ * session (the editor); reload goes back to the published file. A failed load
+ * leaves no zones: the app stays usable and the backend still enforces its own.
+ */
+export function useGeofences(url) {
+  const [zones, setZones] = useState([]);
+  const [error, setError] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    if (!url) {
+      setZones([]);
+      return;
+    }
+    const ctrl = new AbortController();
+    fetch(url, { signal: ctrl.signal })
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((json) => {
+        setZones(parseZones(json));
+        setError(null);
+      })
+      .catch((e) => {
+        if (e?.name !== "AbortError") setError(`Could not load zones (${e?.message || "network error"})`);
+      });
+    return () => ctrl.abort();
+  }, [url, version]);
+
+  const reload = useCallback(() => setVersion((v) => v + 1), []);
+  return { zones, error, setZones, reload };
+}
@@ -0,0 +1,28 @@
+import { useState } from "react";
+import { makeZone } from "./zones.js";
+
+/* ---------- Draw zones on the map ----------
+ * fences: useGeofences() result; finished zones go straight into fences.zones,
+ * so the validation can be tried out before exporting.
+ * → { draft: { kind, name, points } | null, start(kind, name), addPoint(latlng),
+ *     undo(), cancel(), finish(), remove(zoneId) }
+ */
+export function useZoneEditor(fences) {
+  const [draft, setDraft] = useState(null);
+  const { zones, setZones } = fences;
+
+  return {
+    draft,
+    start: (kind, name) => setDraft({ kind, name, points: [] }),
+    addPoint: (latlng) => setDraft((d) => d && { ...d, points: [...d.points, latlng] }),
+    undo: () => setDraft((d) => d && { ...d, points: d.points.slice(0, -1) }),
+    cancel: () => setDraft(null),
+    finish() {
+      if (draft?.points.length >= 3) {
+        setZones([...zones, makeZone({ kind: draft.kind, name: draft.name.trim() }, [[draft.points]])]);
+      }
+      setDraft(null);
+    },
+    remove: (id) => setZones(zones.filter((z) => z.id !== id)),
+  };
+}
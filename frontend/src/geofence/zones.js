@@ -0,0 +1,191 @@
+/* ---------- Geofences ----------
+ * Polygon zones from GeoJSON (Polygon / MultiPolygon features, holes allowed),
+ * each feature tagged with properties { kind, name }:
+ *   service_area    pickups, stops and dropoffs must be inside one (when any exist)
+ *   no_stop         no pickup, stop or dropoff inside
+ *   airport         airport grounds: pickups there only from an airport_pickup zone
+ *   airport_pickup  designated pickup area
+ * Shared with the backend, which rejects rides the same checks would refuse.
+ *
+ * parseZones(geojson) → [{ id, name, kind, polygons: [[ring, ...holes], ...], bbox }]
+ * zonesToGeoJSON(zones) → FeatureCollection
+ * checkPoint(zones, [lat, lon], purpose) → { ok, reason?, message?, zone? }
+ * nearestAllowedPoint(zones, [lat, lon], purpose) → { latlng, distance } | null
+ * purpose: "pickup" | "stop" | "dropoff" | "driver" (drivers only need the service area)
+ */
+import { distanceMeters } from "../geo.js";
+
+export const ZONE_KINDS = {
+  service_area: { label: "Service area", color: "#2563eb" },
+  no_stop: { label: "No-stop zone", color: "#dc2626" },
+  airport: { label: "Airport", color: "#7c3aed" },
+  airport_pickup: { label: "Airport pickup", color: "#059669" },
+};
+
+const NUDGE_M = 10; // suggested points sit this far inside the allowed side of a boundary
+const M_PER_DEG = 111320;
+
+let zoneSeq = 0;
+
+function bboxOf(polygons) {
+  let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+  for (const [outer] of polygons) {
+    for (const [lat, lon] of outer) {
+      south = Math.min(south, lat);
+      north = Math.max(north, lat);
+      west = Math.min(west, lon);
+      east = Math.max(east, lon);
+    }
+  }
+  return { south, west, north, east };
+}
+
+// [[lat, lon], ...] rings → a zone (rings are left open: no repeated first point)
+export function makeZone({ id, name = "", kind }, polygons) {
+  return { id: id ?? `zone-${++zoneSeq}`, name, kind, polygons, bbox: bboxOf(polygons) };
+}
+
+function ringFromGeoJSON(coords) {
+  const ring = coords.map(([lon, lat]) => [lat, lon]);
+  const [a, b] = [ring[0], ring[ring.length - 1]];
+  if (ring.length > 1 && a[0] === b[0] && a[1] === b[1]) ring.pop();
+  return ring;
+}
+
+export function parseZones(geojson) {
+  const features =
+    geojson?.type === "FeatureCollection" ? geojson.features : geojson?.type === "Feature" ? [geojson] : [];
+  const zones = [];
+  for (const f of features || []) {
+    const kind = f?.properties?.kind;
+    if (!ZONE_KINDS[kind]) continue;
+    const g = f.geometry;
+    const polys = g?.type === "Polygon" ? [g.coordinates] : g?.type === "MultiPolygon" ? g.coordinates : null;
+    if (!polys) continue;
+    const polygons = polys
+      .map((rings) => rings.map(ringFromGeoJSON).filter((r) => r.length >= 3))
+      .filter((rings) => rings.length);
+    if (polygons.length) zones.push(makeZone({ id: f.id ?? f.properties.id, name: f.properties.name, kind }, polygons));
+  }
+  return zones;
+}
+
+export function zonesToGeoJSON(zones) {
+  const close = (ring) => [...ring, ring[0]].map(([lat, lon]) => [lon, lat]);
+  return {
+    type: "FeatureCollection",
+    features: zones.map((z) => ({
+      type: "Feature",
+      id: z.id,
+      properties: { kind: z.kind, name: z.name },
+      geometry:
+        z.polygons.length === 1
+          ? { type: "Polygon", coordinates: z.polygons[0].map(close) }
+          : { type: "MultiPolygon", coordinates: z.polygons.map((p) => p.map(close)) },
+    })),
+  };
+}
+
+/* ---------- Point in polygon ---------- */
+function inRing([lat, lon], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [yi, xi] = ring[i];
+    const [yj, xj] = ring[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+export function zoneContains(zone, point) {
+  const [lat, lon] = point;
+  const b = zone.bbox;
+  if (lat < b.south || lat > b.north || lon < b.west || lon > b.east) return false;
+  return zone.polygons.some(([outer, ...holes]) => inRing(point, outer) && !holes.some((h) => inRing(point, h)));
+}
+
+export function zonesAt(zones, point) {
+  return zones.filter((z) => zoneContains(z, point));
+}
+
+const label = (zone, fallback) => zone.name || fallback;
+
+export function checkPoint(zones, point, purpose) {
+  if (!zones?.length) return { ok: true };
+  const here = zonesAt(zones, point);
+  const of = (kind) => here.find((z) => z.kind === kind);
+
+  if (zones.some((z) => z.kind === "service_area") && !of("service_area")) {
+    return { ok: false, reason: "outside_service", message: "Outside our service area" };
+  }
+  if (purpose === "driver") return { ok: true };
+
+  const noStop = of("no_stop");
+  if (noStop) {
+    return { ok: false, reason: "no_stop", zone: noStop, message: `No stopping in ${label(noStop, "this zone")}` };
+  }
+  if (purpose === "pickup") {
+    const airport = of("airport");
+    const pickupZone = of("airport_pickup");
+    if (airport && !pickupZone) {
+      return {
+        ok: false,
+        reason: "airport_pickup",
+        zone: airport,
+        message: `Pickups at ${label(airport, "the airport")} are from the marked pickup zones only`,
+      };
+    }
+    if (pickupZone) return { ok: true, zone: pickupZone };
+  }
+  return { ok: true };
+}
+
+/* ---------- Nearest allowed point ----------
+ * Candidates sit just either side of every zone edge, at the point of the edge
+ * closest to the request; the nearest one that passes checkPoint wins. Edges are
+ * measured in a flat projection around the point (fine at city scale).
+ */
+export function nearestAllowedPoint(zones, point, purpose, { nudgeM = NUDGE_M } = {}) {
+  if (!zones?.length) return null;
+  const [lat0, lon0] = point;
+  const kx = M_PER_DEG * Math.cos((lat0 * Math.PI) / 180);
+  const toXY = ([lat, lon]) => [(lon - lon0) * kx, (lat - lat0) * M_PER_DEG];
+  const toLatLng = ([x, y]) => [lat0 + y / M_PER_DEG, lon0 + x / kx];
+
+  const candidates = [];
+  for (const zone of zones) {
+    for (const rings of zone.polygons) {
+      for (const ring of rings) {
+        for (let i = 0; i < ring.length; i++) {
+          const [ax, ay] = toXY(ring[i]);
+          const [bx, by] = toXY(ring[(i + 1) % ring.length]);
+          const dx = bx - ax;
+          const dy = by - ay;
+          const len2 = dx * dx + dy * dy;
+          if (!len2) continue;
+          const len = Math.sqrt(len2);
+          // closest point of the edge to the origin (the requested point); at a corner, step
+          // back along the edge so the candidate isn't on the neighbouring edge's line
+          const slack = Math.min(nudgeM, len / 2) / len;
+          const t = Math.max(slack, Math.min(1 - slack, -(ax * dx + ay * dy) / len2));
+          const px = ax + t * dx;
+          const py = ay + t * dy;
+          const nx = (-dy / len) * nudgeM;
+          const ny = (dx / len) * nudgeM;
+          for (const c of [
+            [px + nx, py + ny],
+            [px - nx, py - ny],
+          ]) {
+            candidates.push({ xy: c, d2: c[0] * c[0] + c[1] * c[1] });
+          }
+        }
+      }
+    }
+  }
+  candidates.sort((a, b) => a.d2 - b.d2);
+  for (const { xy } of candidates) {
+    const latlng = toLatLng(xy);
+    if (checkPoint(zones, latlng, purpose).ok) return { latlng, distance: distanceMeters(point, latlng) };
+  }
+  return null;
+}
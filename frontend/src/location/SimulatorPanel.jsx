@@ -0,0 +1,119 @@
+import React, { useState, useSyncExternalStore } from "react";
+import { readTrackFile } from "./tracks.js";
+
+const RATES = [1, 2, 5, 10, 20];
+
+function mmss(ms) {
+  const s = Math.round(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+const button = {
+  border: "1px solid #ddd",
+  background: "#fff",
+  borderRadius: 8,
+  padding: "4px 8px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
+function Controls({ sim }) {
+  const state = useSyncExternalStore(sim.subscribe, sim.getSnapshot);
+  return (
+    <>
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <button style={button} onClick={() => (state.playing ? sim.pause() : sim.play())}>
+          {state.playing ? "❚❚ Pause" : "► Play"}
+        </button>
+        <select
+          value={state.rate}
+          onChange={(e) => sim.setRate(Number(e.target.value))}
+          style={{ border: "1px solid #ddd", borderRadius: 8, padding: "3px 4px" }}
+        >
+          {RATES.map((r) => (
+            <option key={r} value={r}>
+              {r}×
+            </option>
+          ))}
+        </select>
+        <span style={{ marginLeft: "auto", fontVariantNumeric: "tabular-nums" }}>
+          {mmss(state.t)} / {mmss(state.duration)}
+        </span>
+      </div>
+      <input
+        type="range"
+        min={0}
+        max={state.duration}
+        step={100}
+        value={state.t}
+        onChange={(e) => sim.seek(Number(e.target.value))}
+        style={{ width: "100%" }}
+        aria-label="Seek"
+      />
+    </>
+  );
+}
+
+/* ---------- GPS simulator: load a track or drive the route ---------- */
+export default function SimulatorPanel({ sim, canUseRoute, onLoadTrack, onUseRoute, onStop, onClose }) {
+  const [error, setError] = useState("");
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        bottom: 190,
+        left: 10,
+        width: 300,
+        zIndex: 10000,
+        background: "#fff",
+        border: "1px solid #ddd",
+        borderRadius: 12,
+        padding: 10,
+        boxShadow: "0 2px 10px rgba(0,0,0,0.15)",
+        fontFamily: "system-ui",
+        fontSize: 13,
+        display: "grid",
+        gap: 8,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <b style={{ flex: 1 }}>GPS simulator</b>
+        <button onClick={onClose} style={{ ...button, border: "none" }} aria-label="Close">
+          ✕
+        </button>
+      </div>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+        <label style={button}>
+          Load GPX/GeoJSON
+          <input
+            type="file"
+            accept=".gpx,.geojson,.json,application/gpx+xml,application/geo+json"
+            style={{ display: "none" }}
+            onChange={async (e) => {
+              const file = e.target.files?.[0];
+              e.target.value = "";
+              if (!file) return;
+              try {
+                onLoadTrack(await readTrackFile(file));
+                setError("");
+              } catch (err) {
+                setError(err?.message || "Could not read track");
+              }
+            }}
+          />
+        </label>
+        <button style={button} disabled={!canUseRoute} onClick={onUseRoute}>
+          Drive current route
+        </button>
+        {sim && (
+          <button style={button} onClick={onStop}>
+            Use real GPS
+          </button>
+        )}
+      </div>
+      {error && <div style={{ color: "#c00" }}>{error}</div>}
+      {sim && <Controls sim={sim} />}
+    </div>
+  );
+}
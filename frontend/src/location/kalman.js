@@ -0,0 +1,146 @@
+/* ---------- GPS smoothing: constant-velocity Kalman filter ----------
+ * Runs in local east/north meters around the first fix, one independent
+ * [position, velocity] filter per axis. Reported accuracy is the measurement
+ * noise; GPS speed + heading, when present, are fused as a velocity reading.
+ * Fixes whose innovation is implausible (Mahalanobis gate or implied speed)
+ * are rejected; after `maxRejects` in a row the filter restarts at the new fix.
+ */
+const M_PER_DEG_LAT = 110540;
+const M_PER_DEG_LON = 111320;
+const VELOCITY_SIGMA = 1; // m/s, GPS doppler speed is good
+
+function axis(p, v, varP, varV) {
+  return { p, v, a: varP, b: 0, c: varV };
+}
+
+function predict(s, dt, q) {
+  s.p += s.v * dt;
+  const { a, b, c } = s;
+  s.a = a + 2 * dt * b + dt * dt * c + (q * dt ** 4) / 4;
+  s.b = b + dt * c + (q * dt ** 3) / 2;
+  s.c = c + q * dt * dt;
+}
+
+function updatePosition(s, z, r) {
+  const S = s.a + r;
+  const k0 = s.a / S;
+  const k1 = s.b / S;
+  const y = z - s.p;
+  s.p += k0 * y;
+  s.v += k1 * y;
+  const { a, b, c } = s;
+  s.a = (1 - k0) * a;
+  s.b = (1 - k0) * b;
+  s.c = c - k1 * b;
+}
+
+function updateVelocity(s, z, r) {
+  const S = s.c + r;
+  const k0 = s.b / S;
+  const k1 = s.c / S;
+  const y = z - s.v;
+  s.p += k0 * y;
+  s.v += k1 * y;
+  const { a, b, c } = s;
+  s.a = a - k0 * b;
+  s.b = b - k0 * c;
+  s.c = (1 - k1) * c;
+}
+
+export function createPositionFilter({
+  accelNoise = 3, // m/s², how hard the vehicle can change speed
+  gate = 13.8, // χ² with 2 dof at 99.9%
+  maxSpeed = 70, // m/s, anything faster between fixes is a teleport
+  maxRejects = 5,
+} = {}) {
+  let origin = null;
+  let x = null; // east axis
+  let y = null; // north axis
+  let lastTs = 0;
+  let rejects = 0;
+
+  const toLocal = (lat, lon) => [
+    (lon - origin[1]) * M_PER_DEG_LON * Math.cos((origin[0] * Math.PI) / 180),
+    (lat - origin[0]) * M_PER_DEG_LAT,
+  ];
+  const toLatLng = (e, n) => [
+    origin[0] + n / M_PER_DEG_LAT,
+    origin[1] + e / (M_PER_DEG_LON * Math.cos((origin[0] * Math.PI) / 180)),
+  ];
+
+  const velocityOf = (fix) =>
+    Number.isFinite(fix.speed) && Number.isFinite(fix.heading) && fix.speed > 0.5
+      ? [fix.speed * Math.sin((fix.heading * Math.PI) / 180), fix.speed * Math.cos((fix.heading * Math.PI) / 180)]
+      : null;
+
+  const start = (fix) => {
+    origin = [fix.lat, fix.lon];
+    const r = Math.max(1, fix.accuracy || 10) ** 2;
+    const vel = velocityOf(fix) || [0, 0];
+    x = axis(0, vel[0], r, 100);
+    y = axis(0, vel[1], r, 100);
+    lastTs = fix.ts;
+    rejects = 0;
+  };
+
+  const output = (rejected) => {
+    const [lat, lon] = toLatLng(x.p, y.p);
+    const speed = Math.hypot(x.v, y.v);
+    return {
+      lat,
+      lon,
+      accuracy: Math.sqrt(Math.max(x.a, y.a)),
+      speed,
+      heading: speed > 1 ? ((Math.atan2(x.v, y.v) * 180) / Math.PI + 360) % 360 : null,
+      velocity: { east: x.v, north: y.v },
+      rejected,
+    };
+  };
+
+  return {
+    update(fix) {
+      if (!origin) {
+        start(fix);
+        return output(false);
+      }
+      const dt = Math.max(0, (fix.ts - lastTs) / 1000);
+      const r = Math.max(1, fix.accuracy || 10) ** 2;
+      const [ze, zn] = toLocal(fix.lat, fix.lon);
+
+      // gate against the prediction without committing to it yet
+      const px = { ...x };
+      const py = { ...y };
+      const q = accelNoise ** 2;
+      if (dt > 0) {
+        predict(px, dt, q);
+        predict(py, dt, q);
+      }
+      const d2 = (ze - px.p) ** 2 / (px.a + r) + (zn - py.p) ** 2 / (py.a + r);
+      const jump = Math.hypot(ze - x.p, zn - y.p);
+      const tooFast = dt > 0 && jump / dt > maxSpeed;
+      if ((d2 > gate || tooFast) && ++rejects <= maxRejects) {
+        return output(true);
+      }
+      if (rejects > maxRejects) {
+        start(fix); // we've been wrong for a while — trust the GPS again
+        return output(false);
+      }
+      rejects = 0;
+
+      x = px;
+      y = py;
+      lastTs = fix.ts;
+      updatePosition(x, ze, r);
+      updatePosition(y, zn, r);
+      const vel = velocityOf(fix);
+      if (vel) {
+        updateVelocity(x, vel[0], VELOCITY_SIGMA ** 2);
+        updateVelocity(y, vel[1], VELOCITY_SIGMA ** 2);
+      }
+      return output(false);
+    },
+    reset() {
+      origin = null;
+    },
+  };
+}
@@ -0,0 +1,134 @@
+/* ---------- Location sources ----------
+ * A source is `{ watch(onFix, onError) → stop }` emitting
+ *   { lat, lon, accuracy, speed, heading, ts }
+ * — the same shape the map and trip recorder consume.
+ */
+import { bearingDeg, distanceMeters } from "../geo.js";
+import { timeTrack } from "./tracks.js";
+
+/* ---------- Device GPS ---------- */
+export function browserLocationSource(options = { enableHighAccuracy: true, maximumAge: 2000, timeout: 10000 }) {
+  return {
+    name: "gps",
+    watch(onFix, onError) {
+      if (!("geolocation" in navigator)) {
+        onError(new Error("Geolocation not supported."));
+        return () => {};
+      }
+      const id = navigator.geolocation.watchPosition(
+        (pos) =>
+          onFix({
+            lat: pos.coords.latitude,
+            lon: pos.coords.longitude,
+            accuracy: pos.coords.accuracy,
+            speed: pos.coords.speed,
+            heading: pos.coords.heading,
+            ts: pos.timestamp,
+          }),
+        (err) => onError(new Error(err.message || "Unable to get location")),
+        options
+      );
+      return () => navigator.geolocation.clearWatch(id);
+    },
+  };
+}
+
+/* ---------- Simulator (replays a track) ----------
+ * Controls: play(), pause(), seek(ms), setRate(x). UI state via
+ * subscribe(cb) / getSnapshot() → { t, duration, playing, rate }. Fixes are
+ * stamped when emitted, not with the track offset t, so ts never goes
+ * backwards when seeking.
+ */
+const TICK_MS = 500;
+
+export function createSimulator(points, { mps = 10, accuracy = 5 } = {}) {
+  const track = timeTrack(points, mps);
+  const duration = track[track.length - 1].t;
+  let lastTs = 0;
+  const fixListeners = new Set();
+  const stateListeners = new Set();
+  let snapshot = { t: 0, duration, playing: false, rate: 1 };
+  let timer = null;
+
+  const setState = (patch) => {
+    snapshot = { ...snapshot, ...patch };
+    stateListeners.forEach((fn) => fn());
+  };
+
+  const sample = (t) => {
+    // last point at or before t
+    let lo = 0;
+    let hi = track.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (track[mid].t <= t) lo = mid;
+      else hi = mid - 1;
+    }
+    const a = track[lo];
+    const b = track[Math.min(lo + 1, track.length - 1)];
+    const span = b.t - a.t;
+    const k = span > 0 ? Math.min(1, (t - a.t) / span) : 0;
+    const seg = distanceMeters([a.lat, a.lon], [b.lat, b.lon]);
+    return {
+      lat: a.lat + (b.lat - a.lat) * k,
+      lon: a.lon + (b.lon - a.lon) * k,
+      accuracy,
+      speed: span > 0 ? seg / (span / 1000) : 0,
+      heading: seg > 0 ? bearingDeg([a.lat, a.lon], [b.lat, b.lon]) : null,
+      ts: (lastTs = Math.max(lastTs, Date.now())),
+    };
+  };
+
+  const emit = () => {
+    const fix = sample(snapshot.t);
+    fixListeners.forEach((fn) => fn(fix));
+  };
+
+  const pause = () => {
+    clearInterval(timer);
+    timer = null;
+    setState({ playing: false });
+  };
+
+  const tick = () => {
+    const t = Math.min(duration, snapshot.t + TICK_MS * snapshot.rate);
+    setState({ t });
+    emit();
+    if (t >= duration) pause();
+  };
+
+  return {
+    name: "simulator",
+    watch(onFix) {
+      fixListeners.add(onFix);
+      onFix(sample(snapshot.t));
+      return () => fixListeners.delete(onFix);
+    },
+    play() {
+      if (timer) return;
+      if (snapshot.t >= duration) setState({ t: 0 });
+      timer = setInterval(tick, TICK_MS);
+      setState({ playing: true });
+    },
+    pause,
+    seek(t) {
+      setState({ t: Math.max(0, Math.min(duration, t)) });
+      emit();
+    },
+    setRate(rate) {
+      setState({ rate });
+    },
+    subscribe(cb) {
+      stateListeners.add(cb);
+      return () => stateListeners.delete(cb);
+    },
+    getSnapshot() {
+      return snapshot;
+    },
+    destroy() {
+      pause();
+      fixListeners.clear();
+      stateListeners.clear();
+    },
+  };
+}
@@ -0,0 +1,68 @@
+/* ---------- Track parsing (GPX / GeoJSON) ----------
+ * → [{ lat, lon, ts }] where ts is epoch ms or null when the file has no times
+ */
+import { distanceMeters } from "../geo.js";
+
+function parseGPX(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.querySelector("parsererror")) throw new Error("Invalid GPX file");
+  let nodes = [...doc.getElementsByTagName("trkpt")];
+  if (!nodes.length) nodes = [...doc.getElementsByTagName("rtept")];
+  return nodes.map((n) => {
+    const time = n.getElementsByTagName("time")[0]?.textContent;
+    return {
+      lat: Number(n.getAttribute("lat")),
+      lon: Number(n.getAttribute("lon")),
+      ts: time ? Date.parse(time) : null,
+    };
+  });
+}
+
+function firstLine(geojson) {
+  const features =
+    geojson.type === "FeatureCollection" ? geojson.features : geojson.type === "Feature" ? [geojson] : [{ geometry: geojson }];
+  for (const f of features) {
+    const g = f.geometry;
+    if (g?.type === "LineString") return { coords: g.coordinates, props: f.properties || {} };
+    if (g?.type === "MultiLineString") return { coords: g.coordinates.flat(), props: f.properties || {} };
+  }
+  return null;
+}
+
+function parseGeoJSON(text) {
+  const line = firstLine(JSON.parse(text));
+  if (!line) throw new Error("GeoJSON has no LineString");
+  const times = line.props.coordTimes || line.props.coordinateProperties?.times || [];
+  return line.coords.map(([lon, lat], i) => ({ lat, lon, ts: times[i] ? Date.parse(times[i]) : null }));
+}
+
+export function parseTrack(text) {
+  const points = text.trimStart().startsWith("<") ? parseGPX(text) : parseGeoJSON(text);
+  const valid = points.filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+  if (valid.length < 2) throw new Error("Track needs at least two points");
+  return valid;
+}
+
+// GPX/GeoJSON File (from an <input type="file">) → track points
+export async function readTrackFile(file) {
+  return parseTrack(await file.text());
+}
+
+// [[lat, lon], ...] route polyline → untimed track
+export function trackFromPath(path) {
+  return path.map(([lat, lon]) => ({ lat, lon, ts: null }));
+}
+
+/* Relative times in ms from the first point. Recorded times are kept when every
+ * point has one; otherwise the track is driven at a constant `mps`. */
+export function timeTrack(points, mps = 10) {
+  if (points.every((p) => Number.isFinite(p.ts))) {
+    const t0 = points[0].ts;
+    return points.map((p) => ({ lat: p.lat, lon: p.lon, t: p.ts - t0 }));
+  }
+  let t = 0;
+  return points.map((p, i) => {
+    if (i > 0) t += (distanceMeters([points[i - 1].lat, points[i - 1].lon], [p.lat, p.lon]) / mps) * 1000;
+    return { lat: p.lat, lon: p.lon, t };
+  });
+}
@@ -0,0 +1,96 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { MapContainer, TileLayer, useMap } from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+import { MapContext } from "./context.js";
+import { createLeafletAdapter, createMaplibreAdapter, mapStyle } from "./adapters.js";
+
+const fill = { height: "100%", width: "100%" };
+
+function LeafletAdapter({ mapRef, children }) {
+  const map = useMap();
+  const adapter = useMemo(() => createLeafletAdapter(map), [map]);
+  useEffect(() => {
+    mapRef.current = adapter;
+    return () => {
+      if (mapRef.current === adapter) mapRef.current = null;
+    };
+  }, [adapter, mapRef]);
+  return <MapContext.Provider value={adapter}>{children}</MapContext.Provider>;
+}
+
+function LeafletSurface({ center, zoom, tiles, mapRef, children }) {
+  return (
+    <MapContainer center={center} zoom={zoom} style={fill}>
+      {/* CORS tile requests, so the service worker can cache real (non-opaque) responses */}
+      <TileLayer
+        url={tiles.url}
+        subdomains={tiles.subdomains}
+        attribution={tiles.attribution}
+        maxZoom={tiles.maxZoom}
+        crossOrigin="anonymous"
+      />
+      <LeafletAdapter mapRef={mapRef}>{children}</LeafletAdapter>
+    </MapContainer>
+  );
+}
+
+// maplibre-gl is only downloaded when this renderer is picked
+function MaplibreSurface({ center, zoom, tiles, config, mapRef, children }) {
+  const containerRef = useRef(null);
+  const [adapter, setAdapter] = useState(null);
+  const [error, setError] = useState(null);
+  const initial = useRef({ center, zoom });
+
+  useEffect(() => {
+    let map = null;
+    let cancelled = false;
+    Promise.all([import("maplibre-gl"), import("maplibre-gl/dist/maplibre-gl.css")])
+      .then(([{ default: maplibregl }]) => {
+        if (cancelled) return;
+        const [lat, lon] = initial.current.center;
+        map = new maplibregl.Map({
+          container: containerRef.current,
+          style: mapStyle(maplibregl, config, tiles),
+          center: [lon, lat],
+          zoom: initial.current.zoom,
+          maxZoom: config.styleUrl ? 22 : tiles.maxZoom,
+        });
+        map.addControl(new maplibregl.NavigationControl({ visualizePitch: true }), "bottom-right");
+        map.once("load", () => {
+          const a = createMaplibreAdapter(map, maplibregl);
+          mapRef.current = a;
+          setAdapter(a);
+        });
+      })
+      .catch((e) => setError(e?.message || "Could not load the vector map"));
+    return () => {
+      cancelled = true;
+      mapRef.current = null;
+      map?.remove();
+    };
+  }, [config, tiles, mapRef]);
+
+  return (
+    <div ref={containerRef} style={fill}>
+      {error && <div style={{ padding: 12, fontFamily: "system-ui" }}>Map error: {error}</div>}
+      {adapter && <MapContext.Provider value={adapter}>{children}</MapContext.Provider>}
+    </div>
+  );
+}
+
+/* ---------- Map surface ----------
+ * Leaflet (raster tiles) or MapLibre (WebGL, vector styles) behind the same
+ * children: MapMarker / MapPolyline / MapCircle and anything using
+ * useMapAdapter(). mapRef receives the adapter (see adapters.js).
+ */
+export default function MapSurface({ renderer, config, tiles, center, zoom, mapRef, children }) {
+  return renderer === "maplibre" ? (
+    <MaplibreSurface center={center} zoom={zoom} tiles={tiles} config={config} mapRef={mapRef}>
+      {children}
+    </MaplibreSurface>
+  ) : (
+    <LeafletSurface center={center} zoom={zoom} tiles={tiles} mapRef={mapRef}>
+      {children}
+    </LeafletSurface>
+  );
+}
@@ -0,0 +1,205 @@
+/* ---------- Map adapters ----------
+ * One small camera/event interface over a Leaflet or a MapLibre map, so the
+ * viewport logic (recenter, follow, fit-to-route, tap-to-set) is written once.
+ * Positions are [lat, lon] everywhere, as in the rest of the app.
+ *
+ * adapter = {
+ *   renderer, map (the native map), lib (maplibre-gl module, MapLibre only),
+ *   canRotate,
+ *   getView() → { center, zoom, bearing, bounds: { south, west, north, east } },
+ *   getMaxZoom(),
+ *   setView(center, zoom), flyTo(center, zoom),
+ *   fitBounds(points, { padding }),
+ *   follow(center, { zoom, bearing }) — navigation camera; heading-up where the
+ *     renderer can rotate, north-up otherwise,
+ *   resetNorth(),
+ *   on(event, cb) → off, events:
+ *     "click"            cb([lat, lon]) — taps on the map itself, not on markers/lines
+ *     "interactionstart" the user starts panning/zooming
+ *     "moveend"          the camera settled }
+ * MapLibre adds onLayerClick(layerId, cb) → off and isRemoved() for the
+ * imperative layers in maplibreLayers.jsx.
+ */
+import L from "leaflet";
+import { tileUrl } from "../tiles/tiles.js";
+
+const FOLLOW_PITCH = 45; // MapLibre heading-up tilt
+const FOLLOW_EASE_MS = 800;
+
+export function createLeafletAdapter(map) {
+  // Leaflet's zoomstart carries no originalEvent, so camera moves the app starts
+  // are flagged until they settle and their zoomstart isn't taken for the user's
+  let moving = false;
+  map.on("moveend", () => {
+    moving = false;
+  });
+  const move = (fn) => {
+    moving = true;
+    fn();
+  };
+
+  return {
+    renderer: "leaflet",
+    map,
+    lib: null,
+    canRotate: false,
+    getView() {
+      const b = map.getBounds();
+      const c = map.getCenter();
+      return {
+        center: [c.lat, c.lng],
+        zoom: map.getZoom(),
+        bearing: 0,
+        bounds: { south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() },
+      };
+    },
+    getMaxZoom: () => map.getMaxZoom(),
+    setView: (center, zoom) => move(() => map.setView(center, zoom)),
+    flyTo: (center, zoom) => move(() => map.flyTo(center, zoom)),
+    fitBounds: (points, { padding = 40 } = {}) =>
+      move(() => map.fitBounds(L.latLngBounds(points), { padding: [padding, padding] })),
+    follow: (center, { zoom }) => move(() => map.setView(center, Math.max(map.getZoom(), zoom))),
+    resetNorth() {},
+    on(event, cb) {
+      const handlers = {
+        click: { click: (e) => cb([e.latlng.lat, e.latlng.lng]) },
+        // dragstart only comes from the user; zoomstart also from setView/flyTo
+        interactionstart: {
+          dragstart: () => cb(),
+          zoomstart: () => {
+            if (!moving) cb();
+          },
+        },
+        moveend: { moveend: () => cb() },
+      }[event];
+      map.on(handlers);
+      return () => map.off(handlers);
+    },
+  };
+}
+
+// tile coordinates → the exact URL Leaflet would fetch, so both renderers share the offline tile cache
+let tileProtocol = null;
+function registerTileProtocol(maplibregl, tiles) {
+  if (tileProtocol) return tileProtocol;
+  tileProtocol = "raster-tiles";
+  maplibregl.addProtocol(tileProtocol, async (params, abortController) => {
+    const [z, x, y] = params.url.slice(tileProtocol.length + 3).split("/").map(Number);
+    const res = await fetch(tileUrl(tiles.url, { x, y, z }, tiles.subdomains), {
+      mode: "cors",
+      signal: abortController.signal,
+    });
+    if (!res.ok) throw new Error(`Tile ${z}/${x}/${y}: HTTP ${res.status}`);
+    return { data: await res.arrayBuffer() };
+  });
+  return tileProtocol;
+}
+
+// MapLibre style: the configured vector style, or the app's raster tile layer
+export function mapStyle(maplibregl, { styleUrl }, tiles) {
+  if (styleUrl) return styleUrl;
+  const protocol = registerTileProtocol(maplibregl, tiles);
+  return {
+    version: 8,
+    sources: {
+      raster: {
+        type: "raster",
+        tiles: [`${protocol}://{z}/{x}/{y}`],
+        tileSize: 256,
+        maxzoom: tiles.maxZoom,
+        attribution: tiles.attribution,
+      },
+    },
+    layers: [{ id: "raster", type: "raster", source: "raster" }],
+  };
+}
+
+const toLngLat = ([lat, lon]) => [lon, lat];
+
+export function createMaplibreAdapter(map, maplibregl) {
+  const clickable = new Set(); // layer ids with their own click handler
+  let removed = false;
+  map.once("remove", () => {
+    removed = true;
+  });
+
+  return {
+    renderer: "maplibre",
+    map,
+    lib: maplibregl,
+    canRotate: true,
+    getView() {
+      const b = map.getBounds();
+      const c = map.getCenter();
+      return {
+        center: [c.lat, c.lng],
+        zoom: map.getZoom(),
+        bearing: map.getBearing(),
+        bounds: { south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() },
+      };
+    },
+    getMaxZoom: () => map.getMaxZoom(),
+    setView: (center, zoom) => map.jumpTo({ center: toLngLat(center), zoom }),
+    flyTo: (center, zoom) => map.flyTo({ center: toLngLat(center), zoom }),
+    fitBounds(points, { padding = 40 } = {}) {
+      const lats = points.map((p) => p[0]);
+      const lons = points.map((p) => p[1]);
+      map.fitBounds(
+        [
+          [Math.min(...lons), Math.min(...lats)],
+          [Math.max(...lons), Math.max(...lats)],
+        ],
+        { padding, maxZoom: map.getMaxZoom() }
+      );
+    },
+    follow(center, { zoom, bearing }) {
+      const headingUp = Number.isFinite(bearing);
+      map.easeTo({
+        center: toLngLat(center),
+        zoom: Math.max(map.getZoom(), zoom),
+        // no heading (standing still): keep the current rotation rather than snapping north
+        bearing: headingUp ? bearing : map.getBearing(),
+        pitch: headingUp ? FOLLOW_PITCH : map.getPitch(),
+        duration: FOLLOW_EASE_MS,
+        easing: (t) => t,
+      });
+    },
+    resetNorth() {
+      // also called while the surface unmounts, after the map is gone
+      if (!removed) map.easeTo({ bearing: 0, pitch: 0 });
+    },
+    on(event, cb) {
+      let handlers;
+      if (event === "click") {
+        handlers = {
+          click: (e) => {
+            // markers are DOM overlays (the map sees their clicks) and clickable lines handle their own
+            if (e.originalEvent.target.closest?.(".maplibregl-marker")) return;
+            const layers = [...clickable].filter((id) => map.getLayer(id));
+            if (layers.length && map.queryRenderedFeatures(e.point, { layers }).length) return;
+            cb([e.lngLat.lat, e.lngLat.lng]);
+          },
+        };
+      } else if (event === "interactionstart") {
+        // camera events carry originalEvent only when a gesture started them
+        const user = (e) => {
+          if (e.originalEvent) cb();
+        };
+        handlers = { dragstart: user, zoomstart: user, rotatestart: user, pitchstart: user };
+      } else handlers = { [event]: () => cb() };
+
+      Object.entries(handlers).forEach(([type, fn]) => map.on(type, fn));
+      return () => Object.entries(handlers).forEach(([type, fn]) => map.off(type, fn));
+    },
+    onLayerClick(id, cb) {
+      const fn = () => cb();
+      clickable.add(id);
+      map.on("click", id, fn);
+      return () => {
+        clickable.delete(id);
+        map.off("click", id, fn);
+      };
+    },
+    isRemoved: () => removed,
+  };
+}
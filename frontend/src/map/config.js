@@ -0,0 +1,19 @@
+/* ---------- Map renderer config (Vite env) ----------
+ * VITE_MAP_RENDERER    "leaflet" (raster tiles, default) or "maplibre" (WebGL:
+ *                      vector styles, smooth rotation, heading-up navigation)
+ * VITE_MAP_STYLE_URL   MapLibre style JSON; without one MapLibre draws the same
+ *                      raster tiles as Leaflet (VITE_TILE_URL), so the offline
+ *                      tile cache keeps working. Vector tiles from a style are
+ *                      not cached by the tile service worker.
+ */
+const env = import.meta.env ?? {};
+
+export const MAP_RENDERERS = {
+  leaflet: { id: "leaflet", label: "Raster (Leaflet)" },
+  maplibre: { id: "maplibre", label: "Vector (MapLibre)" },
+};
+
+export const mapConfig = {
+  renderer: MAP_RENDERERS[env.VITE_MAP_RENDERER] ? env.VITE_MAP_RENDERER : "leaflet",
+  styleUrl: env.VITE_MAP_STYLE_URL || null,
+};
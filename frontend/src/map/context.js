@@ -0,0 +1,10 @@
+import { createContext, useContext } from "react";
+
+/* ---------- The map adapter of the surrounding MapSurface ---------- */
+export const MapContext = createContext(null);
+
+export function useMapAdapter() {
+  const adapter = useContext(MapContext);
+  if (!adapter) throw new Error("useMapAdapter must be used inside a MapSurface");
+  return adapter;
+}
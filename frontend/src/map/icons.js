@@ -0,0 +1,7 @@
+/* ---------- Marker icon specs ----------
+ * Plain { html, size, anchor } objects both renderers turn into their own
+ * markers (L.divIcon / a MapLibre DOM marker). anchor defaults to the centre.
+ */
+export function htmlIcon(html, size, anchor = [size[0] / 2, size[1] / 2]) {
+  return { html, size, anchor };
+}
@@ -0,0 +1,30 @@
+import React from "react";
+import { useMapAdapter } from "./context.js";
+import { LeafletCircle, LeafletMarker, LeafletPolygon, LeafletPolyline } from "./leafletLayers.jsx";
+import { MaplibreCircle, MaplibreMarker, MaplibrePolygon, MaplibrePolyline } from "./maplibreLayers.jsx";
+
+/* ---------- Renderer-neutral map layers ----------
+ * MapMarker   { position, icon?, rotation?, zIndex?, onClick?, children = popup content }
+ *             icon: { html, size: [w, h], anchor: [x, y] } (see icons.js); none = the default pin.
+ *             rotation: compass degrees the icon is turned (e.g. a car's heading).
+ * MapPolyline { positions, color?, weight?, opacity?, dashArray? ("4 6", pixels), onClick? }
+ * MapPolygon  { positions (a ring or [outer, ...holes]), color?, weight?, opacity?, fillOpacity?, dashArray? }
+ *             display only: taps fall through to the map
+ * MapCircle   { center, radius } — radius in metres
+ * Icon specs are compared by identity: keep them module-level or memoised.
+ */
+export function MapMarker(props) {
+  return useMapAdapter().renderer === "maplibre" ? <MaplibreMarker {...props} /> : <LeafletMarker {...props} />;
+}
+
+export function MapPolyline(props) {
+  return useMapAdapter().renderer === "maplibre" ? <MaplibrePolyline {...props} /> : <LeafletPolyline {...props} />;
+}
+
+export function MapCircle(props) {
+  return useMapAdapter().renderer === "maplibre" ? <MaplibreCircle {...props} /> : <LeafletCircle {...props} />;
+}
+
+export function MapPolygon(props) {
+  return useMapAdapter().renderer === "maplibre" ? <MaplibrePolygon {...props} /> : <LeafletPolygon {...props} />;
+}
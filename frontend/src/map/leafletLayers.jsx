@@ -0,0 +1,90 @@
+import React, { useMemo } from "react";
+import { Circle, Marker, Polygon, Polyline, Popup } from "react-leaflet";
+import L from "leaflet";
+
+/* ---------- Leaflet marker icon fix ---------- */
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({
+  iconRetinaUrl:
+    "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon-2x.png",
+  iconUrl:
+    "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon.png",
+  shadowUrl:
+    "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png",
+});
+
+const PIN_ICON = new L.Icon.Default();
+const ROTATION_STEP = 5; // degrees per cached rotated icon
+
+// L.divIcon per { icon spec, rotation step }, so re-renders reuse the same icon
+const divIcons = new WeakMap();
+function divIcon(spec, rotation) {
+  const deg = Number.isFinite(rotation) ? (Math.round(rotation / ROTATION_STEP) * ROTATION_STEP) % 360 : 0;
+  if (!divIcons.has(spec)) divIcons.set(spec, new Map());
+  const cache = divIcons.get(spec);
+  if (!cache.has(deg)) {
+    const [w, h] = spec.size;
+    cache.set(
+      deg,
+      L.divIcon({
+        className: "",
+        html: deg
+          ? `<div style="width:${w}px;height:${h}px;transform:rotate(${deg}deg);transform-origin:${spec.anchor[0]}px ${spec.anchor[1]}px">${spec.html}</div>`
+          : spec.html,
+        iconSize: spec.size,
+        iconAnchor: spec.anchor,
+        popupAnchor: [w / 2 - spec.anchor[0], 1 - spec.anchor[1]],
+      })
+    );
+  }
+  return cache.get(deg);
+}
+
+export function LeafletMarker({ position, icon, rotation, zIndex = 0, onClick, children }) {
+  const eventHandlers = useMemo(() => (onClick ? { click: onClick } : undefined), [onClick]);
+  return (
+    <Marker
+      position={position}
+      icon={icon ? divIcon(icon, rotation) : PIN_ICON}
+      zIndexOffset={zIndex}
+      eventHandlers={eventHandlers}
+    >
+      {children != null && children !== false && <Popup>{children}</Popup>}
+    </Marker>
+  );
+}
+
+// explicit defaults: an undefined option would override Leaflet's own
+export function LeafletPolyline({ positions, color = "#3388ff", weight = 3, opacity = 1, dashArray, onClick }) {
+  const eventHandlers = useMemo(() => (onClick ? { click: onClick } : undefined), [onClick]);
+  return (
+    <Polyline
+      positions={positions}
+      color={color}
+      weight={weight}
+      opacity={opacity}
+      dashArray={dashArray}
+      bubblingMouseEvents={!onClick}
+      eventHandlers={eventHandlers}
+    />
+  );
+}
+
+export function LeafletCircle({ center, radius }) {
+  return <Circle center={center} radius={radius} />;
+}
+
+// display only: taps go through to the map (tap-to-set, zone drawing)
+export function LeafletPolygon({ positions, color = "#3388ff", weight = 3, opacity = 1, fillOpacity = 0.2, dashArray }) {
+  return (
+    <Polygon
+      positions={positions}
+      color={color}
+      weight={weight}
+      opacity={opacity}
+      fillOpacity={fillOpacity}
+      dashArray={dashArray}
+      interactive={false}
+    />
+  );
+}
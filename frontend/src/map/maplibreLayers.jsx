@@ -0,0 +1,189 @@
+import { useEffect, useId, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { useMapAdapter } from "./context.js";
+
+const toLngLat = ([lat, lon]) => [lon, lat];
+const EARTH_M = 6371008.8;
+const CIRCLE_SIDES = 64;
+
+// GeoJSON source + its layers, added on mount and removed on unmount (or with the map)
+function useGeoJsonLayers(adapter, id, data, layers) {
+  const { map } = adapter;
+  const dataRef = useRef(data);
+  dataRef.current = data;
+  const layersRef = useRef(layers);
+  layersRef.current = layers;
+
+  useEffect(() => {
+    map.addSource(id, { type: "geojson", data: dataRef.current });
+    layersRef.current.forEach(({ suffix, ...spec }) => map.addLayer({ ...spec, id: `${id}${suffix}`, source: id }));
+    return () => {
+      if (adapter.isRemoved()) return;
+      layersRef.current.forEach((l) => map.getLayer(`${id}${l.suffix}`) && map.removeLayer(`${id}${l.suffix}`));
+      if (map.getSource(id)) map.removeSource(id);
+    };
+  }, [adapter, map, id]);
+
+  useEffect(() => {
+    map.getSource(id)?.setData(data);
+  }, [map, id, data]);
+
+  // paint changes after mount (colour, width, …)
+  const paintKey = JSON.stringify(layers.map((l) => l.paint));
+  useEffect(() => {
+    layersRef.current.forEach((l) => {
+      const layerId = `${id}${l.suffix}`;
+      if (!map.getLayer(layerId)) return;
+      Object.entries(l.paint).forEach(([k, v]) => map.setPaintProperty(layerId, k, v));
+    });
+  }, [map, id, paintKey]);
+}
+
+function linePaint({ color, weight, opacity, dashArray }) {
+  const paint = { "line-color": color, "line-width": weight, "line-opacity": opacity };
+  // Leaflet dashes are in pixels, MapLibre's in line widths
+  if (dashArray) paint["line-dasharray"] = String(dashArray).split(/[\s,]+/).map((n) => Number(n) / weight);
+  return paint;
+}
+
+export function MaplibreMarker({ position, icon, rotation, zIndex = 0, onClick, children }) {
+  const adapter = useMapAdapter();
+  const [popupNode] = useState(() => document.createElement("div"));
+  const markerRef = useRef(null);
+  const positionRef = useRef(position);
+  positionRef.current = position;
+  const rotationRef = useRef(rotation);
+  rotationRef.current = rotation;
+  const onClickRef = useRef(onClick);
+  onClickRef.current = onClick;
+  const hasPopup = children != null && children !== false;
+  const clickable = Boolean(onClick);
+  const rotates = Number.isFinite(rotation);
+
+  useEffect(() => {
+    const { lib, map } = adapter;
+    let element;
+    if (icon) {
+      const [w, h] = icon.size;
+      element = document.createElement("div");
+      element.style.width = `${w}px`;
+      element.style.height = `${h}px`;
+      element.innerHTML = icon.html;
+    }
+    const marker = new lib.Marker({
+      element,
+      anchor: icon ? "center" : "bottom",
+      // put the icon's anchor pixel (not its centre) on the position; rotation turns about the centre
+      offset: icon ? [icon.size[0] / 2 - icon.anchor[0], icon.size[1] / 2 - icon.anchor[1]] : undefined,
+      // headings are compass bearings, so they turn with the map; everything else stays upright
+      rotationAlignment: rotates ? "map" : "viewport",
+      rotation: rotates ? rotationRef.current : 0,
+      pitchAlignment: "viewport",
+    });
+    const el = marker.getElement();
+    // markers share the canvas's stacking context: keep z-index positive
+    el.style.zIndex = String(Math.max(0, 1000 + zIndex));
+    if (clickable || hasPopup) el.style.cursor = "pointer";
+    if (clickable) el.addEventListener("click", () => onClickRef.current?.());
+    if (hasPopup) {
+      // the default pin places its popup itself; icons open theirs above the anchor
+      const popup = new lib.Popup(icon ? { offset: icon.anchor[1], maxWidth: "260px" } : { maxWidth: "260px" });
+      marker.setPopup(popup.setDOMContent(popupNode));
+    }
+    marker.setLngLat(toLngLat(positionRef.current)).addTo(map);
+    markerRef.current = marker;
+    return () => {
+      markerRef.current = null;
+      marker.remove();
+    };
+  }, [adapter, icon, zIndex, rotates, clickable, hasPopup, popupNode]);
+
+  useEffect(() => {
+    markerRef.current?.setLngLat(toLngLat(position));
+  }, [position]);
+
+  useEffect(() => {
+    markerRef.current?.setRotation(rotates ? rotation : 0);
+  }, [rotation, rotates]);
+
+  return hasPopup ? createPortal(children, popupNode) : null;
+}
+
+export function MaplibrePolyline({ positions, color = "#3388ff", weight = 3, opacity = 1, dashArray, onClick }) {
+  const adapter = useMapAdapter();
+  const id = `line${useId()}`;
+  const data = useMemo(
+    () => ({
+      type: "Feature",
+      properties: {},
+      geometry: { type: "LineString", coordinates: positions.length > 1 ? positions.map(toLngLat) : [] },
+    }),
+    [positions]
+  );
+  const paint = linePaint({ color, weight, opacity, dashArray });
+  useGeoJsonLayers(adapter, id, data, [
+    { suffix: "", type: "line", layout: { "line-join": "round", "line-cap": "round" }, paint },
+  ]);
+
+  const onClickRef = useRef(onClick);
+  onClickRef.current = onClick;
+  const clickable = Boolean(onClick);
+  useEffect(() => {
+    if (!clickable) return;
+    const { map } = adapter;
+    const enter = () => (map.getCanvas().style.cursor = "pointer");
+    const leave = () => (map.getCanvas().style.cursor = "");
+    map.on("mouseenter", id, enter);
+    map.on("mouseleave", id, leave);
+    const off = adapter.onLayerClick(id, () => onClickRef.current?.());
+    return () => {
+      if (adapter.isRemoved()) return;
+      off();
+      map.off("mouseenter", id, enter);
+      map.off("mouseleave", id, leave);
+      leave();
+    };
+  }, [adapter, id, clickable]);
+
+  return null;
+}
+
+// Metres can't be a MapLibre circle radius (that's pixels): draw the ring as a polygon
+function circlePolygon([lat, lon], radius) {
+  const dLat = (radius / EARTH_M) * (180 / Math.PI);
+  const dLon = dLat / Math.cos((lat * Math.PI) / 180);
+  const ring = [];
+  for (let i = 0; i <= CIRCLE_SIDES; i++) {
+    const a = (2 * Math.PI * i) / CIRCLE_SIDES;
+    ring.push([lon + dLon * Math.sin(a), lat + dLat * Math.cos(a)]);
+  }
+  return { type: "Feature", properties: {}, geometry: { type: "Polygon", coordinates: [ring] } };
+}
+
+// Leaflet's default circle look: #3388ff, 3 px outline, 20 % fill
+export function MaplibreCircle({ center, radius }) {
+  const adapter = useMapAdapter();
+  const id = `circle${useId()}`;
+  const data = useMemo(() => circlePolygon(center, radius), [center, radius]);
+  useGeoJsonLayers(adapter, id, data, [
+    { suffix: "-fill", type: "fill", paint: { "fill-color": "#3388ff", "fill-opacity": 0.2 } },
+    { suffix: "-line", type: "line", paint: { "line-color": "#3388ff", "line-width": 3 } },
+  ]);
+  return null;
+}
+
+export function MaplibrePolygon({ positions, color = "#3388ff", weight = 3, opacity = 1, fillOpacity = 0.2, dashArray }) {
+  const adapter = useMapAdapter();
+  const id = `polygon${useId()}`;
+  const data = useMemo(() => {
+    // one ring or [outer, ...holes], like Leaflet's Polygon
+    const rings = Array.isArray(positions[0]?.[0]) ? positions : [positions];
+    const coordinates = rings.map((r) => [...r, r[0]].map(toLngLat));
+    return { type: "Feature", properties: {}, geometry: { type: "Polygon", coordinates } };
+  }, [positions]);
+  useGeoJsonLayers(adapter, id, data, [
+    { suffix: "-fill", type: "fill", paint: { "fill-color": color, "fill-opacity": fillOpacity } },
+    { suffix: "-line", type: "line", paint: linePaint({ color, weight, opacity, dashArray }) },
+  ]);
+  return null;
+}
@@ -0,0 +1,18 @@
+/* ---------- Map-matching config (Vite env) ----------
+ * VITE_MAP_MATCH       "route" (HMM on the active route, default) | "osrm" | "off"
+ * VITE_MAP_MATCH_URL   OSRM server for "osrm" (defaults to VITE_ROUTING_URL, or the
+ *                      travel mode's VITE_ROUTING_URL_<MODE>: one profile per server)
+ */
+const env = import.meta.env ?? {};
+
+export const mapMatchConfig = {
+  mode: env.VITE_MAP_MATCH || "route",
+  baseUrl: env.VITE_MAP_MATCH_URL || env.VITE_ROUTING_URL || "",
+  modeUrls: env.VITE_MAP_MATCH_URL
+    ? {}
+    : {
+        cycling: env.VITE_ROUTING_URL_CYCLING || "",
+        walking: env.VITE_ROUTING_URL_WALKING || "",
+        two_wheeler: env.VITE_ROUTING_URL_TWO_WHEELER || "",
+      },
+};
@@ -0,0 +1,60 @@
+/* ---------- Online HMM map-matching against a route polyline ----------
+ * Newson & Krumm (2009), run incrementally:
+ *   states     = projections of the fix onto route segments within `radius`
+ *   emission   ~ N(offset; 0, σ)   with σ = max(accuracy, sigmaMin)
+ *   transition ~ exp(-|Δalong − Δgreat-circle| / β)   (backwards Δalong is costly)
+ * Each update keeps only the previous step's log-probabilities (Viterbi frontier).
+ */
+import { distanceMeters } from "../geo.js";
+import { cumulativeDistances, segmentProjections } from "../navigation/progress.js";
+
+export function createRouteMatcher({ sigmaMin = 5, beta = 5, radius = 50, maxCandidates = 8 } = {}) {
+  let path = null;
+  let cum = null;
+  let prev = null; // { point, cands: [{ along, point, logp }] }
+
+  return {
+    // → { point, along, offset } on the route, or null when nothing is close enough
+    update(routePath, position, accuracy) {
+      if (routePath !== path) {
+        path = routePath;
+        cum = cumulativeDistances(path);
+        prev = null;
+      }
+      if (path.length < 2) return null;
+
+      const sigma = Math.max(sigmaMin, accuracy || 0);
+      const cands = segmentProjections(path, position, cum)
+        .filter((c) => c.offset <= Math.max(radius, 3 * sigma))
+        .sort((a, b) => a.offset - b.offset)
+        .slice(0, maxCandidates);
+      if (!cands.length) {
+        prev = null; // lost the road; start a fresh chain next time
+        return null;
+      }
+
+      const gc = prev ? distanceMeters(prev.point, position) : 0;
+      const scored = cands.map((c) => {
+        const emission = -0.5 * (c.offset / sigma) ** 2;
+        if (!prev) return { ...c, logp: emission };
+        let best = -Infinity;
+        for (const p of prev.cands) {
+          const lt = p.logp - Math.abs(c.along - p.along - gc) / beta;
+          if (lt > best) best = lt;
+        }
+        return { ...c, logp: best + emission };
+      });
+
+      // normalise so log-probs don't drift towards -Infinity
+      const max = Math.max(...scored.map((c) => c.logp));
+      scored.forEach((c) => (c.logp -= max));
+      prev = { point: position, cands: scored };
+
+      const best = scored.find((c) => c.logp === 0);
+      return { point: best.point, along: best.along, offset: best.offset };
+    },
+    reset() {
+      prev = null;
+    },
+  };
+}
@@ -0,0 +1,35 @@
+/* ---------- OSRM /match (server-side map-matching) ----------
+ * match(fixes, { signal }) with fixes [{ lat, lon, accuracy, ts }]
+ *   → { tracepoints: [[lat, lon] | null, ...], legs: [meters | null, ...], confidence }
+ * legs[i]: road distance from the previous matched fix to fix i (null when
+ * fix i is unmatched or starts a matching).
+ */
+const DEFAULT_URL = "https://router.project-osrm.org";
+
+export function osrmMatcher({ baseUrl, profile = "driving" } = {}) {
+  const base = (baseUrl || DEFAULT_URL).replace(/\/+$/, "");
+  return {
+    async match(fixes, { signal } = {}) {
+      const coords = fixes.map((f) => `${f.lon},${f.lat}`).join(";");
+      const params = new URLSearchParams({
+        timestamps: fixes.map((f) => Math.round(f.ts / 1000)).join(";"),
+        radiuses: fixes.map((f) => Math.min(50, Math.max(5, Math.round(f.accuracy || 10)))).join(";"),
+        overview: "false",
+        gaps: "ignore",
+        tidy: "true",
+      });
+      const res = await fetch(`${base}/match/v1/${profile}/${coords}?${params}`, { signal });
+      const data = await res.json().catch(() => null);
+      if (!res.ok || data?.code !== "Ok") {
+        throw new Error(`OSRM match ${res.status}${data?.message ? `: ${data.message}` : ""}`);
+      }
+      return {
+        tracepoints: data.tracepoints.map((tp) => (tp ? [tp.location[1], tp.location[0]] : null)),
+        legs: data.tracepoints.map((tp) =>
+          tp?.waypoint_index > 0 ? data.matchings[tp.matchings_index].legs[tp.waypoint_index - 1].distance : null
+        ),
+        confidence: Math.min(...data.matchings.map((m) => m.confidence)),
+      };
+    },
+  };
+}
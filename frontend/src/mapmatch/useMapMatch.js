@@ -0,0 +1,96 @@
+import { useEffect, useRef, useState } from "react";
+import { isLatLng } from "../geo.js";
+import { travelMode } from "../routing/modes.js";
+import { createRouteMatcher } from "./hmm.js";
+import { osrmMatcher } from "./osrm.js";
+import { mapMatchConfig } from "./config.js";
+
+const OSRM_WINDOW = 20; // fixes sent per /match call
+const OSRM_EVERY = 5; // call once per this many fixes
+
+/* ---------- Snap the user to the road ----------
+ * → { snapped: [lat, lon] | null, travelled: meters }
+ * travelled is the matched distance since `resetKey` last changed (only
+ * forward progress counts, so GPS wobble doesn't add up). mode: the travel
+ * mode (routing/modes.js), whose OSRM profile /match snaps to.
+ */
+export function useMapMatch({ path, position, accuracy, fix, resetKey, mode, config = mapMatchConfig }) {
+  const [snapped, setSnapped] = useState(null);
+  const [travelled, setTravelled] = useState(0);
+  const matcherRef = useRef(null);
+  const lastRef = useRef({ path: null, along: null, matchedTs: null });
+
+  useEffect(() => {
+    setTravelled(0);
+    lastRef.current = { path: null, along: null, matchedTs: null };
+  }, [resetKey]);
+
+  /* --- HMM against the active route --- */
+  useEffect(() => {
+    if (config.mode !== "route") return;
+    if (!isLatLng(position) || path.length < 2) {
+      setSnapped(null);
+      return;
+    }
+    matcherRef.current ??= createRouteMatcher();
+    const m = matcherRef.current.update(path, position, accuracy);
+    setSnapped(m ? m.point : null);
+    if (!m) return;
+
+    const last = lastRef.current;
+    if (last.path === path && last.along !== null && m.along > last.along) {
+      const gained = m.along - last.along;
+      setTravelled((t) => t + gained);
+    }
+    // new route (reroute): progress restarts from wherever we matched
+    if (last.path !== path || last.along === null || m.along > last.along) {
+      lastRef.current = { ...last, path, along: m.along };
+    }
+  }, [config.mode, path, position, accuracy]);
+
+  /* --- OSRM /match on a sliding window of raw fixes --- */
+  const windowRef = useRef({ fixes: [], count: 0, controller: null });
+  const osrmRef = useRef(null); // { key, matcher }, rebuilt when the mode's server / profile changes
+  const profile = travelMode(mode).profiles.osrm;
+  const osrmUrl = config.modeUrls?.[mode] || config.baseUrl;
+  useEffect(() => {
+    if (config.mode !== "osrm" || !fix) return;
+    const key = `${osrmUrl}|${profile}`;
+    if (osrmRef.current?.key !== key) {
+      osrmRef.current = { key, matcher: osrmMatcher({ baseUrl: osrmUrl, profile }) };
+    }
+    const win = windowRef.current;
+    win.fixes.push(fix);
+    if (win.fixes.length > OSRM_WINDOW) win.fixes.shift();
+    if (win.fixes.length < 2 || ++win.count % OSRM_EVERY !== 0) return;
+
+    win.controller?.abort();
+    const controller = new AbortController();
+    win.controller = controller;
+    const fixes = [...win.fixes];
+    osrmRef.current.matcher
+      .match(fixes, { signal: controller.signal })
+      .then(({ tracepoints, legs }) => {
+        const i = tracepoints.findLastIndex(Boolean);
+        if (i < 0) return;
+        // the windows overlap: add the matched legs up to fixes not counted yet
+        const since = lastRef.current.matchedTs;
+        if (since !== null) {
+          let gained = 0;
+          fixes.forEach((f, j) => {
+            if (f.ts > since && legs[j] !== null) gained += legs[j];
+          });
+          if (gained) setTravelled((t) => t + gained);
+        }
+        lastRef.current = { ...lastRef.current, matchedTs: fixes[i].ts };
+        setSnapped(tracepoints[i]);
+      })
+      .catch(() => {
+        // keep the last snap; raw position is still shown when there is none
+      });
+  }, [config.mode, osrmUrl, profile, fix]);
+
+  useEffect(() => () => windowRef.current.controller?.abort(), []);
+
+  return { snapped: config.mode === "off" ? null : snapped, travelled };
+}
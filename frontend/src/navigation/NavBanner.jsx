@@ -0,0 +1,54 @@
+import React from "react";
+import { formatDistance } from "./progress.js";
+
+/* ---------- Next-maneuver banner ---------- */
+export default function NavBanner({ nav, onExit }) {
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top: 10,
+        left: 10,
+        right: 10,
+        zIndex: 10001,
+        background: "#0f766e",
+        color: "#fff",
+        borderRadius: 12,
+        padding: "10px 14px",
+        boxShadow: "0 2px 10px rgba(0,0,0,0.25)",
+        fontFamily: "system-ui,-apple-system,Segoe UI,Roboto,sans-serif",
+        display: "flex",
+        alignItems: "center",
+        gap: 12,
+      }}
+    >
+      <div style={{ flex: 1, minWidth: 0 }}>
+        {nav?.next ? (
+          <>
+            <div style={{ fontSize: 22, fontWeight: 900 }}>{formatDistance(nav.distanceToNext)}</div>
+            <div style={{ fontSize: 16, fontWeight: 700 }}>{nav.next.instruction}</div>
+            {nav.after && <div style={{ fontSize: 12, opacity: 0.8 }}>Then: {nav.after.instruction}</div>}
+          </>
+        ) : (
+          <div style={{ fontSize: 16, fontWeight: 700 }}>
+            {nav ? "Follow the route" : "Waiting for route…"}
+          </div>
+        )}
+      </div>
+      <button
+        onClick={onExit}
+        style={{
+          border: "1px solid rgba(255,255,255,0.5)",
+          background: "transparent",
+          color: "#fff",
+          borderRadius: 10,
+          padding: "6px 10px",
+          fontWeight: 700,
+          cursor: "pointer",
+        }}
+      >
+        Exit
+      </button>
+    </div>
+  );
+}
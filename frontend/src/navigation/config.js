@@ -0,0 +1,12 @@
+/* ---------- Navigation config (Vite env) ----------
+ * VITE_OFF_ROUTE_M          cross-track distance that counts as off-route (default 40)
+ * VITE_OFF_ROUTE_DWELL_MS   how long it must last before rerouting (default 5000)
+ * VITE_ARRIVAL_M            "arrived" radius for driver→pickup and rider→dropoff (default 30)
+ */
+const env = import.meta.env ?? {};
+
+export const navigationConfig = {
+  offRouteM: Number(env.VITE_OFF_ROUTE_M) || 40,
+  offRouteDwellMs: Number(env.VITE_OFF_ROUTE_DWELL_MS) || 5000,
+  arrivalM: Number(env.VITE_ARRIVAL_M) || 30,
+};
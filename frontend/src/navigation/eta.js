@@ -0,0 +1,23 @@
+/* ---------- Live ETA ----------
+ * The routed duration gives the leg's typical speed (lights, turns, traffic);
+ * the current GPS speed nudges it while actually moving. A stop at a light
+ * shouldn't blow the ETA up, so slow fixes fall back to the route average.
+ */
+const MOVING_MPS = 1.5; // below this the fix speed says nothing useful
+const LIVE_WEIGHT = 0.35; // share of the current speed in the blend
+
+// seconds left for `remainingMeters`, given the leg's routed { distance, duration }
+export function etaSeconds(remainingMeters, { distance, duration }, speed = null) {
+  if (!(remainingMeters > 0)) return 0;
+  const routeMps = distance > 0 && duration > 0 ? distance / duration : null;
+  const live = Number.isFinite(speed) && speed >= MOVING_MPS ? speed : null;
+  const mps =
+    routeMps && live ? routeMps * (1 - LIVE_WEIGHT) + live * LIVE_WEIGHT : routeMps || live;
+  return mps ? remainingMeters / mps : null;
+}
+
+// whole minutes for display, never "0 min" while still en route
+export function etaMinutes(seconds) {
+  if (seconds == null) return null;
+  return seconds > 0 ? Math.max(1, Math.round(seconds / 60)) : 0;
+}
@@ -0,0 +1,36 @@
+/* ---------- Maneuver text for providers that don't send any (OSRM) ---------- */
+function onto(name) {
+  return name ? ` onto ${name}` : "";
+}
+
+export function osrmInstruction({ type, modifier, name, exit }, isLast = false) {
+  const mod = modifier === "uturn" ? "U-turn" : modifier;
+  switch (type) {
+    case "depart":
+      return name ? `Head out on ${name}` : "Head out";
+    case "arrive":
+      return isLast ? "Arrive at your destination" : "Arrive at your stop";
+    case "roundabout":
+    case "rotary":
+      return `Enter the roundabout${exit ? ` and take exit ${exit}` : ""}${onto(name)}`;
+    case "exit roundabout":
+    case "exit rotary":
+      return `Exit the roundabout${onto(name)}`;
+    case "merge":
+      return `Merge${mod ? ` ${mod}` : ""}${onto(name)}`;
+    case "fork":
+      return `Keep ${mod || "straight"} at the fork${onto(name)}`;
+    case "on ramp":
+      return `Take the ramp${mod ? ` on the ${mod}` : ""}${onto(name)}`;
+    case "off ramp":
+      return `Take the exit${mod ? ` on the ${mod}` : ""}${onto(name)}`;
+    case "continue":
+    case "new name":
+      return !mod || mod === "straight" ? `Continue${onto(name)}` : `Continue ${mod}${onto(name)}`;
+    default:
+      // turn, end of road, notification, …
+      if (mod === "U-turn") return `Make a U-turn${onto(name)}`;
+      if (!mod || mod === "straight") return `Go straight${onto(name)}`;
+      return `Turn ${mod}${onto(name)}`;
+  }
+}
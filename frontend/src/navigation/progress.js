@@ -0,0 +1,74 @@
+/* ---------- Position along a polyline ----------
+ * Local equirectangular projection per segment — plenty accurate at city scale.
+ */
+const M_PER_DEG_LAT = 110540;
+const M_PER_DEG_LON = 111320;
+
+// Cumulative meters at each vertex: [0, d01, d01+d12, ...]
+export function cumulativeDistances(path) {
+  const out = [0];
+  for (let i = 1; i < path.length; i++) {
+    out.push(out[i - 1] + segmentLength(path[i - 1], path[i]));
+  }
+  return out;
+}
+
+function segmentLength(a, b) {
+  const kx = M_PER_DEG_LON * Math.cos((((a[0] + b[0]) / 2) * Math.PI) / 180);
+  return Math.hypot((b[1] - a[1]) * kx, (b[0] - a[0]) * M_PER_DEG_LAT);
+}
+
+/* Projection of `point` onto every segment of the path:
+ *   [{ index, t, point, along, offset }, ...]
+ * index/t: segment i and fraction along it; along: meters from the path start;
+ * offset: cross-track distance in meters. `cum` is cumulativeDistances(path).
+ */
+export function segmentProjections(path, point, cum = cumulativeDistances(path)) {
+  const out = [];
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1];
+    const b = path[i];
+    const kx = M_PER_DEG_LON * Math.cos((a[0] * Math.PI) / 180);
+    const bx = (b[1] - a[1]) * kx;
+    const by = (b[0] - a[0]) * M_PER_DEG_LAT;
+    const px = (point[1] - a[1]) * kx;
+    const py = (point[0] - a[0]) * M_PER_DEG_LAT;
+    const len2 = bx * bx + by * by;
+    const t = len2 ? Math.max(0, Math.min(1, (px * bx + py * by) / len2)) : 0;
+    out.push({
+      index: i - 1,
+      t,
+      point: [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t],
+      along: cum[i - 1] + (cum[i] - cum[i - 1]) * t,
+      offset: Math.hypot(px - t * bx, py - t * by),
+    });
+  }
+  return out;
+}
+
+// Closest of the segmentProjections (null for an empty path)
+export function projectOnPath(path, point, cum = cumulativeDistances(path)) {
+  if (!path.length) return null;
+  if (path.length === 1) {
+    return { index: 0, t: 0, point: path[0], along: 0, offset: segmentLength(path[0], point) };
+  }
+  let best = null;
+  for (const p of segmentProjections(path, point, cum)) {
+    if (!best || p.offset < best.offset) best = p;
+  }
+  return best;
+}
+
+// Split at a projection → { travelled, remaining } polylines sharing the cut point
+export function splitPath(path, proj) {
+  if (!proj) return { travelled: [], remaining: path };
+  return {
+    travelled: [...path.slice(0, proj.index + 1), proj.point],
+    remaining: [proj.point, ...path.slice(proj.index + 1)],
+  };
+}
+
+export function formatDistance(m) {
+  if (m < 1000) return `${Math.max(0, Math.round(m / 10) * 10)} m`;
+  return `${(m / 1000).toFixed(1)} km`;
+}
@@ -0,0 +1,35 @@
+import { useEffect, useRef, useState } from "react";
+import { distanceMeters, isLatLng } from "../geo.js";
+
+const EXIT_FACTOR = 2; // leave the fence only well outside it (GPS wobble)
+
+/* ---------- Arrival geofence ----------
+ * `arrived` flips on when `from` comes within radiusM of `to` and only flips
+ * back once it is EXIT_FACTOR × radiusM away. onArrive fires on each entry.
+ */
+export function useArrival(from, to, radiusM, onArrive) {
+  const [arrived, setArrived] = useState(false);
+  const cb = useRef(onArrive);
+  useEffect(() => {
+    cb.current = onArrive;
+  }, [onArrive]);
+
+  useEffect(() => {
+    if (!isLatLng(from) || !isLatLng(to)) {
+      setArrived(false);
+      return;
+    }
+    const d = distanceMeters(from, to);
+    setArrived((was) => {
+      if (!was && d <= radiusM) return true;
+      if (was && d > radiusM * EXIT_FACTOR) return false;
+      return was;
+    });
+  }, [from, to, radiusM]);
+
+  useEffect(() => {
+    if (arrived) cb.current?.();
+  }, [arrived]);
+
+  return arrived;
+}
@@ -0,0 +1,25 @@
+import { useMemo } from "react";
+import { isLatLng } from "../geo.js";
+import { cumulativeDistances, projectOnPath } from "./progress.js";
+import { etaSeconds } from "./eta.js";
+
+/* ---------- Remaining distance + ETA along a routed leg ----------
+ * Recomputed per fix from the polyline instead of waiting for a refetch.
+ * totals: the leg's routed { distance, duration }; null path/position → null.
+ */
+export function useLiveEta(path, position, totals, speed = null) {
+  const cum = useMemo(() => cumulativeDistances(path), [path]);
+  const distance = totals?.distance;
+  const duration = totals?.duration;
+
+  return useMemo(() => {
+    if (path.length < 2 || !isLatLng(position) || !(distance > 0)) return null;
+    const proj = projectOnPath(path, position, cum);
+    // off the line (pre-reroute) still has to get back onto it
+    const remainingMeters = Math.max(0, cum[cum.length - 1] - proj.along) + proj.offset;
+    return {
+      remainingMeters,
+      seconds: etaSeconds(remainingMeters, { distance, duration }, speed),
+    };
+  }, [path, position, cum, distance, duration, speed]);
+}
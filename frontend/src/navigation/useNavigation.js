@@ -0,0 +1,39 @@
+import { useMemo } from "react";
+import { isLatLng } from "../geo.js";
+import { cumulativeDistances, projectOnPath, splitPath } from "./progress.js";
+
+/* ---------- Turn-by-turn progress along the active route ----------
+ * steps: [{ instruction, location, distance, duration }] in route order.
+ * Each step is pinned to the path once per route; each GPS fix only projects.
+ */
+export function useNavigation(path, steps, position) {
+  const route = useMemo(() => {
+    const cum = cumulativeDistances(path);
+    let from = 0;
+    const pinned = steps.map((s) => {
+      // maneuvers are in order, so search forward from the previous one
+      const proj = projectOnPath(path.slice(from), s.location, cum.slice(from));
+      from += proj ? proj.index : 0;
+      return { ...s, along: proj ? proj.along : 0 };
+    });
+    return { cum, steps: pinned, length: cum[cum.length - 1] || 0 };
+  }, [path, steps]);
+
+  return useMemo(() => {
+    if (!path.length || !isLatLng(position)) return null;
+    const proj = projectOnPath(path, position, route.cum);
+    const { travelled, remaining } = splitPath(path, proj);
+    // next maneuver = first one still ahead of us
+    const nextIndex = route.steps.findIndex((s) => s.along > proj.along + 5);
+    const next = nextIndex >= 0 ? route.steps[nextIndex] : null;
+    return {
+      proj,
+      travelled,
+      remaining,
+      next,
+      after: nextIndex >= 0 ? route.steps[nextIndex + 1] || null : null,
+      distanceToNext: next ? next.along - proj.along : null,
+      remainingMeters: Math.max(0, route.length - proj.along),
+    };
+  }, [path, position, route]);
+}
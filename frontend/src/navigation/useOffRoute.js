@@ -0,0 +1,41 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { isLatLng } from "../geo.js";
+import { cumulativeDistances, projectOnPath } from "./progress.js";
+import { navigationConfig } from "./config.js";
+
+/* ---------- Off-route detection ----------
+ * Off-route once the cross-track distance to `path` stays above the threshold
+ * (or the fix's accuracy radius, whichever is larger) for the dwell time.
+ */
+export function useOffRoute(path, position, accuracy, config = navigationConfig) {
+  const { offRouteM, offRouteDwellMs } = config;
+  const cum = useMemo(() => cumulativeDistances(path), [path]);
+  const offset = useMemo(
+    () => (path.length >= 2 && isLatLng(position) ? projectOnPath(path, position, cum).offset : null),
+    [path, position, cum]
+  );
+
+  const sinceRef = useRef(null);
+  const [offRoute, setOffRoute] = useState(false);
+
+  useEffect(() => {
+    const limit = Math.max(offRouteM, accuracy || 0);
+    if (offset === null || offset <= limit) {
+      sinceRef.current = null;
+      setOffRoute(false);
+      return;
+    }
+    const now = Date.now();
+    if (sinceRef.current === null) sinceRef.current = now;
+    const wait = offRouteDwellMs - (now - sinceRef.current);
+    if (wait <= 0) {
+      setOffRoute(true);
+      return;
+    }
+    // fire on time even if no new fix arrives
+    const t = setTimeout(() => setOffRoute(true), wait);
+    return () => clearTimeout(t);
+  }, [offset, accuracy, offRouteM, offRouteDwellMs]);
+
+  return { offset, offRoute };
+}
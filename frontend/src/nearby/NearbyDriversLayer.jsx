@@ -0,0 +1,79 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { useMapAdapter } from "../map/context.js";
+import { MapMarker } from "../map/layers.jsx";
+import { htmlIcon } from "../map/icons.js";
+import { clusterPoints } from "./cluster.js";
+
+const CLUSTER_MAX_ZOOM = 15; // this zoom and below shows clusters
+const VIEW_MARGIN = 0.2; // draw this fraction of the viewport beyond each edge
+
+// Top-down car pointing north; MapMarker turns it to the driver's heading
+const CAR_ICON = htmlIcon(
+  '<svg width="22" height="22" viewBox="0 0 22 22">' +
+    '<rect x="6" y="2" width="10" height="18" rx="3" fill="#111"/>' +
+    '<rect x="7.5" y="5" width="7" height="4" rx="1" fill="#9ca3af"/>' +
+    '<rect x="7.5" y="14" width="7" height="3" rx="1" fill="#9ca3af"/>' +
+    "</svg>",
+  [22, 22]
+);
+
+const clusterIcons = new Map();
+function clusterIcon(count) {
+  if (!clusterIcons.has(count)) {
+    const size = Math.round(26 + Math.log10(count) * 10);
+    clusterIcons.set(
+      count,
+      htmlIcon(
+        `<div style="width:${size}px;height:${size}px;line-height:${size}px;border-radius:50%;background:rgba(17,17,17,0.8);color:#fff;text-align:center;font:700 12px system-ui;box-shadow:0 0 0 4px rgba(17,17,17,0.2)">${count}</div>`,
+        [size, size]
+      )
+    );
+  }
+  return clusterIcons.get(count);
+}
+
+function inView([lat, lon], { south, west, north, east }) {
+  const dLat = (north - south) * VIEW_MARGIN;
+  const dLon = (east - west) * VIEW_MARGIN;
+  return lat >= south - dLat && lat <= north + dLat && lon >= west - dLon && lon <= east + dLon;
+}
+
+/* ---------- Available drivers around the rider ----------
+ * drivers: [{ id, name, location, heading }]. Only what's in (a margin around)
+ * the viewport is drawn; zoomed out, nearby cars merge into counted clusters
+ * that zoom in when tapped.
+ */
+export default function NearbyDriversLayer({ drivers }) {
+  const adapter = useMapAdapter();
+  const [view, setView] = useState(() => adapter.getView());
+  useEffect(() => adapter.on("moveend", () => setView(adapter.getView())), [adapter]);
+
+  const groups = useMemo(() => {
+    const visible = drivers.filter((d) => inView(d.location, view.bounds));
+    return view.zoom <= CLUSTER_MAX_ZOOM
+      ? clusterPoints(visible, view.zoom)
+      : visible.map((d) => ({ key: d.id, location: d.location, count: 1, items: [d] }));
+  }, [drivers, view]);
+
+  return groups.map((g) =>
+    g.count === 1 ? (
+      <MapMarker
+        key={g.items[0].id}
+        position={g.items[0].location}
+        icon={CAR_ICON}
+        rotation={Number.isFinite(g.items[0].heading) ? g.items[0].heading : 0}
+        zIndex={-1000}
+      >
+        {g.items[0].name || "Available driver"}
+      </MapMarker>
+    ) : (
+      <MapMarker
+        key={`cluster-${g.key}`}
+        position={g.location}
+        icon={clusterIcon(g.count)}
+        zIndex={-1000}
+        onClick={() => adapter.flyTo(g.location, Math.min(adapter.getMaxZoom(), view.zoom + 2))}
+      />
+    )
+  );
+}
@@ -0,0 +1,27 @@
+/* ---------- Screen-space marker clustering ----------
+ * Points sharing a 64 px cell at the current zoom merge into one cluster —
+ * that cell is exactly a slippy tile two zoom levels deeper (256 / 2² = 64).
+ * → [{ key, location, count, items }], location = the members' centroid.
+ */
+import { latToTileY, lonToTileX } from "../tiles/tiles.js";
+
+export function clusterPoints(items, zoom, locationOf = (item) => item.location) {
+  const z = Math.round(zoom) + 2;
+  const cells = new Map();
+  for (const item of items) {
+    const [lat, lon] = locationOf(item);
+    const key = `${lonToTileX(lon, z)}:${latToTileY(lat, z)}`;
+    const c = cells.get(key);
+    if (c) {
+      c.items.push(item);
+      c.lat += lat;
+      c.lon += lon;
+    } else cells.set(key, { key, items: [item], lat, lon });
+  }
+  return [...cells.values()].map(({ key, items: members, lat, lon }) => ({
+    key,
+    location: [lat / members.length, lon / members.length],
+    count: members.length,
+    items: members,
+  }));
+}
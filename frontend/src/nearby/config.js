@@ -0,0 +1,12 @@
+/* ---------- Nearby drivers layer config (Vite env) ----------
+ * VITE_NEARBY_RADIUS_KM    show available drivers this close to you (default 3)
+ * VITE_NEARBY_LIMIT        at most this many, closest first (default 500)
+ * VITE_NEARBY_POLL_MS      refresh interval (default 5000)
+ */
+const env = import.meta.env ?? {};
+
+export const nearbyConfig = {
+  radiusKm: Number(env.VITE_NEARBY_RADIUS_KM) || 3,
+  limit: Number(env.VITE_NEARBY_LIMIT) || 500,
+  pollMs: Number(env.VITE_NEARBY_POLL_MS) || 5000,
+};
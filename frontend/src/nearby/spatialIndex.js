@@ -0,0 +1,125 @@
+/* ---------- Spatial index for moving points ----------
+ * Uniform lat/lon grid: each point sits in a cellDeg × cellDeg bucket, so
+ * inserting, moving and removing are O(1) — drivers report every few seconds.
+ * Queries walk rings of cells outward from the query point and stop once no
+ * unvisited cell can hold anything closer. Shared by the map and the backend.
+ *
+ * createSpatialIndex({ cellDeg }) → {
+ *   upsert(id, [lat, lon], data), remove(id), get(id) → entry, size,
+ *   nearest([lat, lon], k, { maxKm, filter }) → entries closest first,
+ *   within([lat, lon], radiusKm, { filter, limit }) → entries closest first }
+ * entry = { id, location, data, km }; filter(data, id) → boolean.
+ * No wrap-around at ±180° longitude.
+ */
+import { haversineKm } from "../geo.js";
+
+const KM_PER_DEG = 111.32;
+
+export function createSpatialIndex({ cellDeg = 0.01 } = {}) {
+  const cells = new Map(); // "row:col" → Map(id → entry)
+  const entries = new Map(); // id → { id, location, data, key }
+  const extent = { r0: Infinity, r1: -Infinity, c0: Infinity, c1: -Infinity }; // occupied cells (only grows)
+
+  const rowOf = (lat) => Math.floor(lat / cellDeg);
+  const colOf = (lon) => Math.floor(lon / cellDeg);
+
+  const scan = (key, point, filter, out) => {
+    const cell = cells.get(key);
+    if (!cell) return 0;
+    for (const e of cell.values()) {
+      if (filter && !filter(e.data, e.id)) continue;
+      out.push({ id: e.id, location: e.location, data: e.data, km: haversineKm(point, e.location) });
+    }
+    return cell.size;
+  };
+
+  return {
+    upsert(id, location, data) {
+      const row = rowOf(location[0]);
+      const col = colOf(location[1]);
+      const key = `${row}:${col}`;
+      extent.r0 = Math.min(extent.r0, row);
+      extent.r1 = Math.max(extent.r1, row);
+      extent.c0 = Math.min(extent.c0, col);
+      extent.c1 = Math.max(extent.c1, col);
+      const prev = entries.get(id);
+      if (prev && prev.key !== key) {
+        const old = cells.get(prev.key);
+        old.delete(id);
+        if (!old.size) cells.delete(prev.key);
+      }
+      const entry = { id, location, data, key };
+      entries.set(id, entry);
+      if (!cells.has(key)) cells.set(key, new Map());
+      cells.get(key).set(id, entry);
+      return entry;
+    },
+
+    remove(id) {
+      const prev = entries.get(id);
+      if (!prev) return false;
+      const cell = cells.get(prev.key);
+      cell.delete(id);
+      if (!cell.size) cells.delete(prev.key);
+      return entries.delete(id);
+    },
+
+    get(id) {
+      return entries.get(id) || null;
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    nearest(point, k, { maxKm = Infinity, filter } = {}) {
+      const r0 = rowOf(point[0]);
+      const c0 = colOf(point[1]);
+      const found = [];
+      let seen = 0;
+      // rings that can't reach the occupied extent are empty, start at the first one that can
+      const first = Math.max(0, extent.r0 - r0, r0 - extent.r1, extent.c0 - c0, c0 - extent.c1);
+      for (let ring = first; seen < entries.size; ring++) {
+        // ring cells: the border of the (2·ring + 1)² square around the start cell, clipped to the extent
+        for (let r = Math.max(r0 - ring, extent.r0); r <= Math.min(r0 + ring, extent.r1); r++) {
+          if (Math.abs(r - r0) === ring) {
+            for (let c = Math.max(c0 - ring, extent.c0); c <= Math.min(c0 + ring, extent.c1); c++) {
+              seen += scan(`${r}:${c}`, point, filter, found);
+            }
+          } else {
+            if (c0 - ring >= extent.c0) seen += scan(`${r}:${c0 - ring}`, point, filter, found);
+            if (c0 + ring <= extent.c1) seen += scan(`${r}:${c0 + ring}`, point, filter, found);
+          }
+        }
+        // anything in ring + 1 is at least `ring` whole cells away (narrowest at the pole side)
+        const lat = Math.min(89, Math.abs(point[0]) + (ring + 1) * cellDeg);
+        const reachKm = ring * cellDeg * KM_PER_DEG * Math.cos((lat * Math.PI) / 180);
+        if (reachKm > maxKm) break;
+        if (found.length >= k) {
+          found.sort((a, b) => a.km - b.km);
+          if (found[k - 1].km <= reachKm) break;
+        }
+      }
+      return found
+        .filter((e) => e.km <= maxKm)
+        .sort((a, b) => a.km - b.km)
+        .slice(0, k);
+    },
+
+    within(point, radiusKm, { filter, limit = Infinity } = {}) {
+      const dLat = radiusKm / KM_PER_DEG;
+      const cos = Math.max(0.01, Math.cos((Math.min(89, Math.abs(point[0]) + dLat) * Math.PI) / 180));
+      const dLon = radiusKm / (KM_PER_DEG * cos);
+      const found = [];
+      for (let r = rowOf(point[0] - dLat); r <= rowOf(point[0] + dLat); r++) {
+        for (let c = colOf(point[1] - dLon); c <= colOf(point[1] + dLon); c++) {
+          scan(`${r}:${c}`, point, filter, found);
+        }
+      }
+      return found
+        .filter((e) => e.km <= radiusKm)
+        .sort((a, b) => a.km - b.km)
+        .slice(0, limit);
+    },
+  };
+}
@@ -0,0 +1,42 @@
+import { useEffect, useRef, useState } from "react";
+import { isLatLng } from "../geo.js";
+import { nearbyDrivers } from "../api/rides.js";
+import { apiConfig } from "../api/config.js";
+import { nearbyConfig } from "./config.js";
+
+/* ---------- Available drivers around a point (backend spatial index) ----------
+ * Polls while `enabled`; the centre is read per poll, so GPS updates don't
+ * restart the timer. → { drivers: [{ id, name, location, heading, km }], error }
+ */
+export function useNearbyDrivers(center, enabled) {
+  const [drivers, setDrivers] = useState([]);
+  const [error, setError] = useState("");
+  const centerRef = useRef(center);
+  centerRef.current = center;
+  const hasCenter = isLatLng(center);
+  const active = enabled && hasCenter && !!apiConfig.baseUrl;
+
+  useEffect(() => {
+    if (!active) {
+      setDrivers([]);
+      return;
+    }
+    let stopped = false;
+    const poll = () =>
+      nearbyDrivers(centerRef.current, { radiusKm: nearbyConfig.radiusKm, limit: nearbyConfig.limit })
+        .then((list) => {
+          if (stopped) return;
+          setDrivers(list || []);
+          setError("");
+        })
+        .catch((e) => !stopped && setError(e?.message || "Nearby drivers unavailable"));
+    poll();
+    const id = setInterval(poll, nearbyConfig.pollMs);
+    return () => {
+      stopped = true;
+      clearInterval(id);
+    };
+  }, [active]);
+
+  return { drivers, error };
+}
@@ -0,0 +1,9 @@
+/* ---------- Realtime config (Vite env) ----------
+ * VITE_DRIVER_FEED_URL   WebSocket URL streaming driver positions
+ *                        (e.g. ws://localhost:8787 for `npm run mock:driver`)
+ */
+const env = import.meta.env ?? {};
+
+export const realtimeConfig = {
+  driverFeedUrl: env.VITE_DRIVER_FEED_URL || "",
+};
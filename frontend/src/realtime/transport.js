@@ -0,0 +1,61 @@
+/* ---------- Realtime transports ----------
+ * A transport is `{ subscribe(onMessage, onStatus) → unsubscribe, send(msg) }`.
+ * Messages are plain objects; status is "connecting" | "open" | "closed".
+ */
+
+// JSON over WebSocket, reconnecting with capped backoff. Each subscription owns its
+// socket and retry state, so a quick unsubscribe/resubscribe (StrictMode) can't
+// let the old socket's close tear down or duplicate the new one.
+export function createWebSocketTransport(url, { WebSocketImpl = globalThis.WebSocket } = {}) {
+  let live = null; // socket of the latest subscription, for send()
+
+  return {
+    subscribe(onMessage, onStatus = () => {}) {
+      let current = null;
+      let closed = false;
+      let retry = 0;
+      let timer = null;
+
+      const connect = () => {
+        onStatus("connecting");
+        const socket = new WebSocketImpl(url);
+        current = socket;
+        live = socket;
+        socket.onopen = () => {
+          if (socket !== current) return;
+          retry = 0;
+          onStatus("open");
+        };
+        socket.onmessage = (e) => {
+          if (socket !== current) return;
+          try {
+            onMessage(JSON.parse(e.data));
+          } catch {
+            // ignore non-JSON frames
+          }
+        };
+        socket.onclose = () => {
+          if (socket !== current) return;
+          current = null;
+          if (live === socket) live = null;
+          onStatus("closed");
+          if (closed) return;
+          const delay = Math.min(30000, 1000 * 2 ** retry++);
+          timer = setTimeout(connect, delay);
+        };
+      };
+      connect();
+      return () => {
+        closed = true;
+        clearTimeout(timer);
+        const socket = current;
+        current = null;
+        if (live === socket) live = null;
+        socket?.close();
+      };
+    },
+    send(msg) {
+      if (live?.readyState === 1) live.send(JSON.stringify(msg));
+    },
+  };
+}
@@ -0,0 +1,33 @@
+import { useEffect, useRef, useState } from "react";
+import { isLatLng } from "../geo.js";
+
+/* ---------- Glide a [lat, lon] towards each new target ---------- */
+export function useAnimatedLatLng(target, durationMs = 1000) {
+  const [shown, setShown] = useState(target);
+  const shownRef = useRef(target);
+
+  useEffect(() => {
+    const from = shownRef.current;
+    if (!isLatLng(target) || !isLatLng(from)) {
+      shownRef.current = target;
+      setShown(target);
+      return;
+    }
+    const start = performance.now();
+    let raf = 0;
+    const step = (now) => {
+      const t = Math.min(1, (now - start) / durationMs);
+      const next = [
+        from[0] + (target[0] - from[0]) * t,
+        from[1] + (target[1] - from[1]) * t,
+      ];
+      shownRef.current = next;
+      setShown(next);
+      if (t < 1) raf = requestAnimationFrame(step);
+    };
+    raf = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(raf);
+  }, [target, durationMs]);
+
+  return shown;
+}
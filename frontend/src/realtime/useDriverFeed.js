@@ -0,0 +1,28 @@
+import { useEffect, useState } from "react";
+import { isLatLng, roundGPS } from "../geo.js";
+
+/* ---------- Live driver position from a realtime transport ----------
+ * Expects { type: "driver", lat, lon } messages and reports the
+ * rider's own position back as { type: "rider", lat, lon }.
+ */
+export function useDriverFeed(transport, position) {
+  const [driver, setDriver] = useState(null);
+  const [status, setStatus] = useState(transport ? "connecting" : "off");
+
+  useEffect(() => {
+    if (!transport) return;
+    return transport.subscribe((msg) => {
+      if (msg?.type !== "driver") return;
+      const next = [Number(msg.lat), Number(msg.lon)];
+      if (!isLatLng(next)) return;
+      setDriver(roundGPS(next));
+    }, setStatus);
+  }, [transport]);
+
+  useEffect(() => {
+    if (!transport || !isLatLng(position) || status !== "open") return;
+    transport.send({ type: "rider", lat: position[0], lon: position[1] });
+  }, [transport, position, status]);
+
+  return { driver, status };
+}
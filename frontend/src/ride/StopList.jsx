@@ -0,0 +1,83 @@
+import React, { useRef, useState } from "react";
+
+function legText(leg) {
+  if (!leg) return "— · —";
+  return `${(leg.distance / 1000).toFixed(2)} km · ${Math.max(1, Math.round(leg.duration / 60))} min`;
+}
+
+const smallButton = {
+  border: "1px solid #ddd",
+  background: "#fff",
+  borderRadius: 6,
+  padding: "0 6px",
+  cursor: "pointer",
+  lineHeight: "20px",
+};
+
+/* ---------- Ordered trip stops with drag-to-reorder ----------
+ * legs[i] is the leg that ends at stops[i] (leg 0 starts at the pickup).
+ * ▲/▼ do the same as dragging, for touch screens without HTML5 DnD.
+ */
+export default function StopList({ stops, legs, labelOf, onMove, onRemove, disabled }) {
+  const dragFrom = useRef(null);
+  const [over, setOver] = useState(null);
+
+  return (
+    <ol style={{ margin: 0, padding: 0, listStyle: "none", fontSize: 13 }}>
+      {stops.map((stop, i) => (
+        <li
+          key={stop.id}
+          draggable={!disabled}
+          onDragStart={() => (dragFrom.current = i)}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setOver(i);
+          }}
+          onDragLeave={() => setOver(null)}
+          onDrop={(e) => {
+            e.preventDefault();
+            if (dragFrom.current !== null && dragFrom.current !== i) onMove(dragFrom.current, i);
+            dragFrom.current = null;
+            setOver(null);
+          }}
+          onDragEnd={() => {
+            dragFrom.current = null;
+            setOver(null);
+          }}
+          style={{
+            display: "flex",
+            gap: 6,
+            alignItems: "center",
+            padding: "3px 0",
+            borderTop: over === i ? "2px solid #1e90ff" : "2px solid transparent",
+            cursor: disabled ? "default" : "grab",
+          }}
+        >
+          <span style={{ opacity: 0.5 }}>{disabled ? "•" : "⋮⋮"}</span>
+          <span style={{ flex: 1, minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+            <b>{i === stops.length - 1 ? "Dropoff" : `Stop ${i + 1}`}</b> {labelOf(stop, i)}
+          </span>
+          <span style={{ whiteSpace: "nowrap", opacity: 0.8 }}>{legText(legs[i])}</span>
+          {!disabled && (
+            <>
+              <button style={smallButton} disabled={i === 0} onClick={() => onMove(i, i - 1)} aria-label="Move up">
+                ▲
+              </button>
+              <button
+                style={smallButton}
+                disabled={i === stops.length - 1}
+                onClick={() => onMove(i, i + 1)}
+                aria-label="Move down"
+              >
+                ▼
+              </button>
+              <button style={smallButton} onClick={() => onRemove(stop.id)} aria-label="Remove stop">
+                ×
+              </button>
+            </>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+import { formatMoney } from "./fare.js";
+import { formatElapsed } from "./meter.js";
+
+const row = { display: "flex", justifyContent: "space-between", gap: 8 };
+
+/* ---------- Final taxi-meter summary at trip end ----------
+ * meter: useTaxiMeter result; fare: meterFare(meter); quote: the fare we
+ * showed before the trip (may be null).
+ */
+export default function TripSummary({ meter, fare, quote }) {
+  const b = fare.breakdown;
+  const m = (v) => formatMoney(v, fare.currency);
+
+  return (
+    <div style={{ border: "1px solid #e5e7eb", borderRadius: 10, padding: 10, fontSize: 13 }}>
+      <div style={{ ...row, fontWeight: 800, fontSize: 14, marginBottom: 4 }}>
+        <span>Trip summary</span>
+        <span>{m(fare.total)}</span>
+      </div>
+      <div style={row}>
+        <span>Distance driven</span>
+        <span>{(meter.distance / 1000).toFixed(2)} km</span>
+      </div>
+      <div style={row}>
+        <span>Time</span>
+        <span>
+          {formatElapsed(meter.elapsed)} ({formatElapsed(meter.waiting)} waiting)
+        </span>
+      </div>
+      <div style={{ borderTop: "1px solid #eee", margin: "6px 0" }} />
+      <div style={row}>
+        <span>Base</span>
+        <span>{m(b.base)}</span>
+      </div>
+      <div style={row}>
+        <span>Distance · {b.km} km</span>
+        <span>{m(b.distance)}</span>
+      </div>
+      <div style={row}>
+        <span>Waiting · {b.min} min</span>
+        <span>{m(b.time)}</span>
+      </div>
+      {b.minimumApplied && <div style={{ opacity: 0.7 }}>Minimum fare applied</div>}
+      {b.surge > 1 && (
+        <div style={row}>
+          <span>Surge ×{b.surge}</span>
+          <span>{m(b.surgeAmount)}</span>
+        </div>
+      )}
+      {quote && (
+        <div style={{ ...row, opacity: 0.7, marginTop: 4 }}>
+          <span>Quoted before the trip</span>
+          <span>{formatMoney(quote.total, quote.currency)}</span>
+        </div>
+      )}
+    </div>
+  );
+}
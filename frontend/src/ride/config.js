@@ -0,0 +1,22 @@
+/* ---------- Fare config (Vite env) ----------
+ * VITE_FARE_CURRENCY       ISO currency code for fare display (default USD)
+ * VITE_SURGE               surge multiplier applied to local estimates (default 1)
+ * VITE_FARE_RATES          JSON per vehicle class, merged over DEFAULT_RATES, e.g.
+ *                          {"economy":{"base":3,"perKm":1.2}} (see ride/fare.js parseRates)
+ * VITE_METER_WAIT_KMH      taxi meter charges time below this speed (default 10)
+ * VITE_METER_ACCURACY_M    fixes less accurate than this don't move the meter (default 50)
+ */
+import { parseRates } from "./fare.js";
+
+const env = import.meta.env ?? {};
+
+export const fareConfig = {
+  currency: env.VITE_FARE_CURRENCY || undefined,
+  surge: Number(env.VITE_SURGE) || 1,
+  rates: parseRates(env.VITE_FARE_RATES),
+};
+
+export const meterConfig = {
+  waitKmh: Number(env.VITE_METER_WAIT_KMH) || 10,
+  maxAccuracyM: Number(env.VITE_METER_ACCURACY_M) || 50,
+};
@@ -0,0 +1,93 @@
+/* ---------- Fare estimation ----------
+ * Pure and deterministic (integer cents) so the map and the backend quote the
+ * same price for the same route.
+ *
+ *   fare = max(minimum, base + perKm·km + perMin·min) × surge
+ */
+export const DEFAULT_CURRENCY = "USD";
+
+// per vehicle class, in currency units
+export const DEFAULT_RATES = {
+  economy: { label: "Economy", base: 2.5, perKm: 1.0, perMin: 0.2, minimum: 5 },
+  comfort: { label: "Comfort", base: 3.5, perKm: 1.4, perMin: 0.3, minimum: 7 },
+  xl: { label: "XL", base: 5, perKm: 1.9, perMin: 0.4, minimum: 10 },
+};
+
+const RATE_FIELDS = ["base", "perKm", "perMin", "minimum"];
+
+const cents = (v) => Math.round(v * 100);
+
+/* Rates from a JSON string ({ class: { label?, base, perKm, perMin, minimum } }),
+ * e.g. the VITE_FARE_RATES / FARE_RATES env. Known classes only need the
+ * fields they change; new ones need all four. Empty → DEFAULT_RATES.
+ */
+export function parseRates(json) {
+  if (!json) return DEFAULT_RATES;
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch {
+    throw new Error("Fare rates are not valid JSON");
+  }
+  if (overrides === null || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error("Fare rates must be an object keyed by vehicle class");
+  }
+  const rates = { ...DEFAULT_RATES };
+  for (const [key, override] of Object.entries(overrides)) {
+    const rate = { label: key, ...DEFAULT_RATES[key], ...override };
+    for (const field of RATE_FIELDS) {
+      if (!Number.isFinite(rate[field]) || rate[field] < 0) {
+        throw new Error(`Fare rate "${key}.${field}" must be a number ≥ 0`);
+      }
+    }
+    rates[key] = rate;
+  }
+  return rates;
+}
+
+export function estimateFare(
+  { distance, duration }, // meters, seconds
+  { vehicleClass = "economy", surge = 1, rates = DEFAULT_RATES, currency = DEFAULT_CURRENCY } = {}
+) {
+  const rate = rates[vehicleClass];
+  if (!rate) throw new Error(`Unknown vehicle class "${vehicleClass}"`);
+  if (!Number.isFinite(distance) || !Number.isFinite(duration)) {
+    throw new Error("Fare needs a finite distance and duration");
+  }
+  const multiplier = Math.max(1, Number(surge) || 1);
+  const km = distance / 1000;
+  const min = duration / 60;
+
+  const base = cents(rate.base);
+  const dist = cents(rate.perKm * km);
+  const time = cents(rate.perMin * min);
+  const subtotal = base + dist + time;
+  const minimum = cents(rate.minimum);
+  const minimumApplied = subtotal < minimum;
+  const beforeSurge = Math.max(subtotal, minimum);
+  const total = Math.round(beforeSurge * multiplier);
+
+  return {
+    vehicleClass,
+    currency,
+    total: total / 100,
+    breakdown: {
+      base: base / 100,
+      distance: dist / 100,
+      time: time / 100,
+      minimumApplied,
+      surge: multiplier,
+      surgeAmount: (total - beforeSurge) / 100,
+      km: Number(km.toFixed(2)),
+      min: Math.round(min),
+    },
+  };
+}
+
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  try {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency }).format(amount);
+  } catch {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+}
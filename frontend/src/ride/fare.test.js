@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_RATES, estimateFare, parseRates } from "./fare.js";
+
+const trip = (km, min) => ({ distance: km * 1000, duration: min * 60 });
+
+test("base + distance + time, in the vehicle class's rates", () => {
+  const fare = estimateFare(trip(10, 20));
+  assert.equal(fare.total, 16.5); // 2.50 + 10 × 1.00 + 20 × 0.20
+  assert.deepEqual(fare.breakdown, {
+    base: 2.5,
+    distance: 10,
+    time: 4,
+    minimumApplied: false,
+    surge: 1,
+    surgeAmount: 0,
+    km: 10,
+    min: 20,
+  });
+  assert.equal(estimateFare(trip(10, 20), { vehicleClass: "comfort" }).total, 23.5);
+  assert.equal(estimateFare(trip(10, 20), { vehicleClass: "xl" }).total, 32);
+});
+
+test("short trips pay the minimum", () => {
+  const fare = estimateFare(trip(1, 2));
+  assert.equal(fare.total, 5);
+  assert.equal(fare.breakdown.minimumApplied, true);
+  assert.equal(estimateFare(trip(1, 2), { vehicleClass: "xl" }).total, 10);
+});
+
+test("surge multiplies the total, minimum included, and never discounts", () => {
+  const fare = estimateFare(trip(10, 20), { surge: 1.5 });
+  assert.equal(fare.total, 24.75);
+  assert.equal(fare.breakdown.surgeAmount, 8.25);
+  assert.equal(estimateFare(trip(1, 2), { surge: 2 }).total, 10);
+  assert.equal(estimateFare(trip(10, 20), { surge: 0.5 }).total, 16.5);
+  assert.equal(estimateFare(trip(10, 20), { surge: "nope" }).total, 16.5);
+});
+
+test("each part is rounded to whole cents before adding up", () => {
+  // 1.234 km → 123.4¢ → 1.23, 1.9 min → 38¢
+  const rates = { economy: { ...DEFAULT_RATES.economy, minimum: 0 } };
+  const fare = estimateFare({ distance: 1234, duration: 114 }, { rates });
+  assert.equal(fare.breakdown.distance, 1.23);
+  assert.equal(fare.breakdown.time, 0.38);
+  assert.equal(fare.total, 4.11);
+  assert.equal(estimateFare(trip(10, 20), { surge: 1.333 }).total, 21.99); // 1650 × 1.333 = 2199.45
+});
+
+test("rejects unknown classes and non-finite trips", () => {
+  assert.throws(() => estimateFare(trip(1, 1), { vehicleClass: "limo" }), /Unknown vehicle class/);
+  assert.throws(() => estimateFare({ distance: NaN, duration: 60 }), /finite/);
+});
+
+test("parseRates merges overrides over the defaults", () => {
+  assert.equal(parseRates(undefined), DEFAULT_RATES);
+  const rates = parseRates(
+    '{"economy":{"base":3},"moto":{"label":"Moto","base":1,"perKm":0.5,"perMin":0.1,"minimum":2}}'
+  );
+  assert.deepEqual(rates.economy, { ...DEFAULT_RATES.economy, base: 3 });
+  assert.equal(rates.comfort, DEFAULT_RATES.comfort);
+  assert.equal(estimateFare(trip(10, 20), { vehicleClass: "moto", rates }).total, 8);
+  assert.throws(() => parseRates("{"), /valid JSON/);
+  assert.throws(() => parseRates("[]"), /object/);
+  assert.throws(() => parseRates('{"moto":{"base":1}}'), /moto\.perKm/);
+  assert.throws(() => parseRates('{"economy":{"base":-1}}'), /economy\.base/);
+});
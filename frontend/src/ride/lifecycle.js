@@ -0,0 +1,56 @@
+/* ---------- Ride lifecycle state machine ----------
+ * requested → accepted → arriving → in_progress → completed
+ *      └──────────┴──────────┴─────────┴──────→ cancelled
+ * Pure data in, data out — shared by the map and the backend.
+ */
+export const RIDE_STATES = {
+  REQUESTED: "requested",
+  ACCEPTED: "accepted", // driver assigned, heading to pickup
+  ARRIVING: "arriving", // driver at / about to reach pickup
+  IN_PROGRESS: "in_progress", // rider on board
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+};
+
+const S = RIDE_STATES;
+
+const TRANSITIONS = {
+  [S.REQUESTED]: [S.ACCEPTED, S.CANCELLED],
+  [S.ACCEPTED]: [S.ARRIVING, S.CANCELLED],
+  [S.ARRIVING]: [S.IN_PROGRESS, S.CANCELLED],
+  [S.IN_PROGRESS]: [S.COMPLETED, S.CANCELLED],
+  [S.COMPLETED]: [],
+  [S.CANCELLED]: [],
+};
+
+export function canTransition(from, to) {
+  return TRANSITIONS[from]?.includes(to) ?? false;
+}
+
+export function isTerminal(state) {
+  return state === S.COMPLETED || state === S.CANCELLED;
+}
+
+// Rider is in the car (or was) — the driver → pickup leg no longer matters
+export function isPickedUp(state) {
+  return state === S.IN_PROGRESS || state === S.COMPLETED;
+}
+
+// States to step through (in order) to catch up with a ride at `state`; already
+// passed ones are no-ops for canTransition, so this works from any earlier state
+export function pathTo(state) {
+  if (state === S.CANCELLED) return [S.CANCELLED];
+  const order = [S.REQUESTED, S.ACCEPTED, S.ARRIVING, S.IN_PROGRESS, S.COMPLETED];
+  return order.slice(1, order.indexOf(state) + 1);
+}
+
+export function startRide(at = Date.now()) {
+  return { state: S.REQUESTED, timestamps: { [S.REQUESTED]: at } };
+}
+
+export function transition(ride, to, at = Date.now()) {
+  if (!canTransition(ride.state, to)) {
+    throw new Error(`Invalid ride transition ${ride.state} → ${to}`);
+  }
+  return { ...ride, state: to, timestamps: { ...ride.timestamps, [to]: at } };
+}
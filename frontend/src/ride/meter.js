@@ -0,0 +1,70 @@
+/* ---------- Taxi meter ----------
+ * Accumulates the distance actually driven from successive GPS fixes and the
+ * time spent waiting (moving slower than `waitKmh`), like a street taxi meter:
+ * distance is charged while moving, time only while waiting, so being stuck
+ * in traffic or detouring shows up in the fare.
+ *
+ *   fare = estimateFare({ distance: driven, duration: waiting })
+ *
+ * Pure data in, data out. Fixes are { lat, lon, accuracy, speed, ts }:
+ *   - fixes less accurate than `maxAccuracyM` are skipped,
+ *   - distance is counted from the last counted point only once we've moved
+ *     further than the fix's own accuracy (GPS jitter while parked adds nothing),
+ *   - a jump faster than `maxKmh` is an outlier and dropped.
+ */
+import { distanceMeters } from "../geo.js";
+import { estimateFare } from "./fare.js";
+
+export const METER_DEFAULTS = {
+  waitKmh: 10,
+  maxAccuracyM: 50,
+  minStepM: 5,
+  maxKmh: 200,
+};
+
+export function startMeter(at = Date.now()) {
+  return { startedAt: at, anchor: null, lastTs: at, distance: 0, waiting: 0, fixes: 0, dropped: 0 };
+}
+
+export function meterFix(meter, fix, opts = METER_DEFAULTS) {
+  const { waitKmh, maxAccuracyM, minStepM, maxKmh } = { ...METER_DEFAULTS, ...opts };
+  const ts = fix.ts ?? Date.now();
+  if (ts <= meter.lastTs) return meter; // stale / duplicate
+  if (Number.isFinite(fix.accuracy) && fix.accuracy > maxAccuracyM) return { ...meter, dropped: meter.dropped + 1 };
+
+  const here = [fix.lat, fix.lon];
+  const dt = (ts - meter.lastTs) / 1000;
+  if (!meter.anchor) return { ...meter, anchor: { at: here, ts }, lastTs: ts, fixes: meter.fixes + 1 };
+
+  const moved = distanceMeters(meter.anchor.at, here);
+  const sinceAnchor = (ts - meter.anchor.ts) / 1000;
+  if (moved / sinceAnchor > maxKmh / 3.6) return { ...meter, dropped: meter.dropped + 1 };
+
+  // GPS speed when the device reports it, else the average since the last counted point
+  const speed = Number.isFinite(fix.speed) ? fix.speed : moved / sinceAnchor;
+  const waiting = speed < waitKmh / 3.6 ? meter.waiting + dt : meter.waiting;
+  const counts = moved >= Math.max(minStepM, fix.accuracy || 0);
+
+  return {
+    ...meter,
+    anchor: counts ? { at: here, ts } : meter.anchor,
+    distance: counts ? meter.distance + moved : meter.distance,
+    waiting,
+    lastTs: ts,
+    fixes: meter.fixes + 1,
+  };
+}
+
+// fareOptions as for estimateFare ({ vehicleClass, surge, rates, currency })
+export function meterFare(meter, fareOptions) {
+  return estimateFare({ distance: meter.distance, duration: meter.waiting }, fareOptions);
+}
+
+// 754 → "12:34", 3725 → "1:02:05"
+export function formatElapsed(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  const pad = (n) => String(n).padStart(2, "0");
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  return h ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+}
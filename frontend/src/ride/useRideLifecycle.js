@@ -0,0 +1,26 @@
+import { useCallback, useReducer } from "react";
+import { canTransition, startRide, transition } from "./lifecycle.js";
+
+function reducer(trip, action) {
+  switch (action.type) {
+    case "start":
+      return startRide(action.at);
+    case "go":
+      // ignore stale/duplicate events (e.g. arrival firing twice)
+      if (!trip || !canTransition(trip.state, action.to)) return trip;
+      return transition(trip, action.to, action.at);
+    case "reset":
+      return null;
+    default:
+      return trip;
+  }
+}
+
+/* ---------- Ride lifecycle as React state (null = no ride yet) ---------- */
+export function useRideLifecycle() {
+  const [trip, dispatch] = useReducer(reducer, null);
+  const start = useCallback(() => dispatch({ type: "start", at: Date.now() }), []);
+  const go = useCallback((to) => dispatch({ type: "go", to, at: Date.now() }), []);
+  const reset = useCallback(() => dispatch({ type: "reset" }), []);
+  return { trip, start, go, reset };
+}
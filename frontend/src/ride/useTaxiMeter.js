@@ -0,0 +1,40 @@
+import { useEffect, useState } from "react";
+import { meterFix, startMeter } from "./meter.js";
+import { meterConfig } from "./config.js";
+
+/* ---------- Taxi meter as React state ----------
+ * Runs from `startedAt` (pickup) until `endedAt` (dropoff / cancel), fed with
+ * raw GPS fixes; the meter does its own jitter and outlier suppression.
+ * → null before pickup, else { distance, waiting, elapsed, running, dropped }
+ *   (meters, seconds, seconds).
+ */
+export function useTaxiMeter(fix, startedAt, endedAt) {
+  const [meter, setMeter] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const running = !!startedAt && !endedAt;
+
+  useEffect(() => {
+    setMeter(startedAt ? startMeter(startedAt) : null);
+  }, [startedAt]);
+
+  useEffect(() => {
+    if (!fix || !running) return;
+    setMeter((m) => m && meterFix(m, fix, meterConfig));
+  }, [fix, running]);
+
+  // elapsed time keeps ticking between fixes
+  useEffect(() => {
+    if (!running) return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [running]);
+
+  if (!meter) return null;
+  return {
+    distance: meter.distance,
+    waiting: meter.waiting,
+    elapsed: Math.max(0, ((endedAt || now) - meter.startedAt) / 1000),
+    running,
+    dropped: meter.dropped,
+  };
+}
@@ -0,0 +1,52 @@
+import React from "react";
+
+function routeText(r) {
+  return `${(r.distance / 1000).toFixed(2)} km · ${Math.max(1, Math.round(r.duration / 60))} min`;
+}
+
+// index of the smallest `key` (first one wins ties)
+function argMin(routes, key) {
+  return routes.reduce((best, r, i) => (r[key] < routes[best][key] ? i : best), 0);
+}
+
+/* ---------- Route options (best + alternatives) ----------
+ * routes: [{ distance, duration, ... }] as returned by the provider, best first.
+ * fareOf(route) → formatted fare or null.
+ */
+export default function RouteChooser({ routes, active, fareOf, onSelect }) {
+  const fastest = argMin(routes, "duration");
+  const shortest = argMin(routes, "distance");
+
+  return (
+    <div role="radiogroup" aria-label="Route options" style={{ display: "flex", gap: 6, fontSize: 13 }}>
+      {routes.map((r, i) => {
+        const tags = [i === fastest && "Fastest", i === shortest && "Shortest"].filter(Boolean);
+        return (
+          <button
+            key={i}
+            role="radio"
+            aria-checked={i === active}
+            onClick={() => onSelect(i)}
+            style={{
+              flex: 1,
+              minWidth: 0,
+              textAlign: "left",
+              border: i === active ? "2px solid #059669" : "1px solid #ddd",
+              background: i === active ? "#ecfdf5" : "#fff",
+              borderRadius: 8,
+              padding: "4px 8px",
+              cursor: "pointer",
+            }}
+          >
+            <div style={{ fontWeight: 800 }}>
+              Route {i + 1}
+              {tags.length ? <span style={{ fontWeight: 600, opacity: 0.7 }}> · {tags.join(", ")}</span> : null}
+            </div>
+            <div>{routeText(r)}</div>
+            {fareOf(r) && <div style={{ opacity: 0.8 }}>{fareOf(r)}</div>}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
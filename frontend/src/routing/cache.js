@@ -0,0 +1,131 @@
+/* ---------- Route response cache ----------
+ * In-memory LRU in front of any routing provider, backed by IndexedDB so
+ * repeat trips survive a reload. Keys are the waypoints snapped to a ~10 m
+ * grid plus the provider namespace (engine + travel mode + profile) and the
+ * request options, so a cached route never answers for another profile.
+ *
+ * createRouteCache({ size, ttlMs }) → {
+ *   wrap(provider, namespace) → provider,
+ *   subscribe(cb) / getSnapshot() → { hits, diskHits, misses, size },
+ *   clear() }
+ */
+import { openDb, promisify, withStore } from "../storage/idb.js";
+
+const SNAP_DECIMALS = 4; // ≈ 11 m of latitude
+
+function db() {
+  return openDb("gps-uber-routes", 1, (d) => {
+    d.createObjectStore("routes", { keyPath: "key" }).createIndex("ts", "ts");
+  });
+}
+
+export function routeKey(namespace, points, { steps = false, alternatives = false } = {}) {
+  const coords = points.map(([lat, lon]) => `${lat.toFixed(SNAP_DECIMALS)},${lon.toFixed(SNAP_DECIMALS)}`);
+  return `${namespace}|${steps ? "s" : ""}${alternatives ? "a" : ""}|${coords.join(";")}`;
+}
+
+// Drop everything older than `cutoff` (runs once per page load)
+async function sweep(cutoff) {
+  await withStore(await db(), "routes", "readwrite", (s) => {
+    const req = s.index("ts").openCursor(IDBKeyRange.upperBound(cutoff));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+  });
+}
+
+export function createRouteCache({ size = 200, ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+  const memory = new Map(); // key → { value, ts }, oldest first
+  const listeners = new Set();
+  let snapshot = { hits: 0, diskHits: 0, misses: 0, size: 0 };
+  let swept = null;
+
+  const count = (patch) => {
+    snapshot = { ...snapshot, ...patch, size: memory.size };
+    listeners.forEach((fn) => fn());
+  };
+
+  const remember = (key, entry) => {
+    memory.delete(key);
+    memory.set(key, entry);
+    while (memory.size > size) memory.delete(memory.keys().next().value);
+  };
+
+  const fresh = (entry) => entry && Date.now() - entry.ts < ttlMs;
+
+  // persistence is best-effort: private mode / no IndexedDB just means memory only
+  const readDisk = async (key) => {
+    try {
+      swept ??= sweep(Date.now() - ttlMs).catch(() => {});
+      await swept;
+      return await withStore(await db(), "routes", "readonly", (s) => promisify(s.get(key)));
+    } catch {
+      return null;
+    }
+  };
+  const writeDisk = (key, entry) => {
+    db()
+      .then((d) => withStore(d, "routes", "readwrite", (s) => s.put({ key, ...entry })))
+      .catch(() => {});
+  };
+
+  const lookup = async (key) => {
+    const hit = memory.get(key);
+    if (fresh(hit)) {
+      remember(key, hit);
+      count({ hits: snapshot.hits + 1 });
+      return hit.value;
+    }
+    const stored = await readDisk(key);
+    if (fresh(stored)) {
+      remember(key, { value: stored.value, ts: stored.ts });
+      count({ hits: snapshot.hits + 1, diskHits: snapshot.diskHits + 1 });
+      return stored.value;
+    }
+    return null;
+  };
+
+  return {
+    wrap(provider, namespace) {
+      return {
+        ...provider,
+        async route(points, opts = {}) {
+          if (size <= 0) return provider.route(points, opts);
+          const key = routeKey(namespace, points, opts);
+          const cached = await lookup(key);
+          if (opts.signal?.aborted) throw new DOMException("Aborted", "AbortError");
+          if (cached) return cached;
+
+          count({ misses: snapshot.misses + 1 });
+          const value = await provider.route(points, opts);
+          // a backup's answer (straight line, offline graph) shouldn't outlive the outage
+          if (value.fallback) return value;
+          const entry = { value, ts: Date.now() };
+          remember(key, entry);
+          writeDisk(key, entry);
+          count({});
+          return value;
+        },
+      };
+    },
+    subscribe(cb) {
+      listeners.add(cb);
+      return () => listeners.delete(cb);
+    },
+    getSnapshot() {
+      return snapshot;
+    },
+    async clear() {
+      memory.clear();
+      count({ hits: 0, diskHits: 0, misses: 0 });
+      try {
+        await withStore(await db(), "routes", "readwrite", (s) => s.clear());
+      } catch {
+        // nothing persisted
+      }
+    },
+  };
+}
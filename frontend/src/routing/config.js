@@ -0,0 +1,41 @@
+/* ---------- Routing config (Vite env) ----------
+ * VITE_ROUTING_PROVIDER  "osrm" | "valhalla" | "graphhopper" | "offline"   (default "osrm")
+ * VITE_ROUTING_URL       base URL of the routing server (self-hosted OSRM etc.)
+ * VITE_ROUTING_PROFILE   provider profile, e.g. "driving" / "auto" / "car"
+ * VITE_ROUTING_API_KEY   API key (GraphHopper cloud)
+ * VITE_ROAD_GRAPH_URL    GeoJSON road network for offline A* routing; when set,
+ *                        it also backs up the online provider during outages
+ * VITE_ROUTING_URL_CYCLING / _WALKING / _TWO_WHEELER
+ *                        per-mode server (OSRM only has one profile per server);
+ *                        falls back to VITE_ROUTING_URL
+ * VITE_ROUTING_SECONDARY     backup provider while the primary's circuit is open
+ * VITE_ROUTING_SECONDARY_URL (then the offline graph, then a straight line)
+ * VITE_ROUTING_RETRIES       retries on 429 / 5xx / network errors (default 3)
+ * VITE_ROUTING_BREAKER_FAILURES  outages in a row that open the circuit (default 3)
+ * VITE_ROUTING_BREAKER_COOLDOWN_S  how long to leave the primary alone (default 30)
+ * VITE_ROUTE_CACHE_SIZE  routes kept in memory (default 200, 0 disables caching)
+ * VITE_ROUTE_CACHE_TTL_MIN  how long a cached route stays valid (default 1440 = a day)
+ */
+const env = import.meta.env ?? {};
+
+export const routingConfig = {
+  provider: env.VITE_ROUTING_PROVIDER || "osrm",
+  baseUrl: env.VITE_ROUTING_URL || "",
+  profile: env.VITE_ROUTING_PROFILE || "",
+  apiKey: env.VITE_ROUTING_API_KEY || "",
+  graphUrl: env.VITE_ROAD_GRAPH_URL || "",
+  secondary: env.VITE_ROUTING_SECONDARY || "",
+  secondaryUrl: env.VITE_ROUTING_SECONDARY_URL || "",
+  retry: { retries: env.VITE_ROUTING_RETRIES ? Number(env.VITE_ROUTING_RETRIES) : 3 },
+  breaker: {
+    threshold: Number(env.VITE_ROUTING_BREAKER_FAILURES) || 3,
+    cooldownMs: (Number(env.VITE_ROUTING_BREAKER_COOLDOWN_S) || 30) * 1000,
+  },
+  cacheSize: env.VITE_ROUTE_CACHE_SIZE ? Number(env.VITE_ROUTE_CACHE_SIZE) : 200,
+  cacheTtlMs: (Number(env.VITE_ROUTE_CACHE_TTL_MIN) || 1440) * 60 * 1000,
+  modeUrls: {
+    cycling: env.VITE_ROUTING_URL_CYCLING || "",
+    walking: env.VITE_ROUTING_URL_WALKING || "",
+    two_wheeler: env.VITE_ROUTING_URL_TWO_WHEELER || "",
+  },
+};
@@ -0,0 +1,58 @@
+/* ---------- Routing errors ----------
+ * Every provider failure surfaces as a RoutingError with a `kind`, so callers
+ * can decide between retrying, falling back and telling the rider.
+ */
+export const ERROR_KINDS = {
+  RATE_LIMITED: "rate_limited", // 429
+  SERVER: "server", // 5xx
+  NETWORK: "network", // offline, DNS, CORS, connection reset
+  NO_ROUTE: "no_route", // the engine answered: there is no way there
+  BAD_REQUEST: "bad_request", // other 4xx, our fault
+  UNAVAILABLE: "unavailable", // provider not set up (no graph, circuit open…)
+};
+
+// worth asking again (same provider, after a pause)
+const TRANSIENT = new Set([ERROR_KINDS.RATE_LIMITED, ERROR_KINDS.SERVER, ERROR_KINDS.NETWORK]);
+
+export class RoutingError extends Error {
+  constructor(message, { kind = ERROR_KINDS.SERVER, status = null, retryAfterMs = null, provider = null } = {}) {
+    super(message);
+    this.name = "RoutingError";
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.provider = provider;
+  }
+}
+
+export function kindForStatus(status) {
+  if (status === 429) return ERROR_KINDS.RATE_LIMITED;
+  if (status >= 500) return ERROR_KINDS.SERVER;
+  return ERROR_KINDS.BAD_REQUEST;
+}
+
+// Retry-After is either seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const s = Number(value);
+  if (Number.isFinite(s)) return Math.max(0, s * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+// Anything thrown by a provider → RoutingError (aborts pass through untouched)
+export function classifyError(e, provider = null) {
+  if (e?.name === "AbortError" || e instanceof RoutingError) return e;
+  // fetch() rejects with a TypeError when the request never got a response
+  const kind = e instanceof TypeError ? ERROR_KINDS.NETWORK : ERROR_KINDS.SERVER;
+  return new RoutingError(e?.message || "Route request failed", { kind, provider });
+}
+
+export function isTransient(e) {
+  return TRANSIENT.has(e?.kind);
+}
+
+// failures that say "this provider is down", as opposed to "this request is wrong"
+export function isOutage(e) {
+  return isTransient(e) || e?.kind === ERROR_KINDS.UNAVAILABLE;
+}
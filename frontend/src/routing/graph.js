@@ -0,0 +1,182 @@
+/* ---------- Road graph + A* (runs inside the offline routing worker) ----------
+ * Graph is built from GeoJSON LineString / MultiLineString features (an OSM
+ * city extract exported as GeoJSON). Vertices that share a coordinate are
+ * joined, so intersections must be split at shared nodes (osmium/ogr2ogr do).
+ */
+import { distanceMeters } from "../geo.js";
+import { ERROR_KINDS, RoutingError } from "./errors.js";
+
+// km/h by OSM highway class when the feature has no usable maxspeed
+const HIGHWAY_SPEEDS = {
+  motorway: 90,
+  trunk: 70,
+  primary: 50,
+  secondary: 40,
+  tertiary: 35,
+  residential: 25,
+  unclassified: 25,
+  service: 15,
+  living_street: 10,
+};
+const DEFAULT_SPEED_KMH = 25;
+const MOTOR_ONLY = new Set(["motorway", "motorway_link", "trunk", "trunk_link"]);
+
+// How each travel mode (routing/modes.js) may use the car-oriented graph
+export const MODE_RULES = {
+  driving: {},
+  two_wheeler: { maxKmh: 45 },
+  cycling: { maxKmh: 16, noMotorways: true },
+  walking: { maxKmh: 4.8, noMotorways: true, bothWays: true },
+};
+
+function keyOf([lat, lon]) {
+  return `${lat.toFixed(6)},${lon.toFixed(6)}`;
+}
+
+function speedOf(props = {}) {
+  const max = parseFloat(props.maxspeed);
+  if (Number.isFinite(max) && max > 0) return max;
+  return HIGHWAY_SPEEDS[props.highway] || DEFAULT_SPEED_KMH;
+}
+
+function onewayOf(props = {}) {
+  const v = String(props.oneway ?? "").toLowerCase();
+  if (v === "yes" || v === "true" || v === "1") return 1;
+  if (v === "-1" || v === "reverse") return -1;
+  return 0;
+}
+
+export function buildGraph(geojson) {
+  const ids = new Map(); // coord key → node id
+  const coords = []; // node id → [lat, lon]
+  const adj = []; // node id → [{ to, dist, speed, motorway, against }]
+
+  const nodeId = (latlng) => {
+    const k = keyOf(latlng);
+    let id = ids.get(k);
+    if (id === undefined) {
+      id = coords.length;
+      ids.set(k, id);
+      coords.push(latlng);
+      adj.push([]);
+    }
+    return id;
+  };
+
+  const addLine = (line, props) => {
+    const speed = (speedOf(props) * 1000) / 3600; // m/s
+    const oneway = onewayOf(props);
+    const motorway = MOTOR_ONLY.has(props?.highway);
+    for (let i = 1; i < line.length; i++) {
+      const a = nodeId([line[i - 1][1], line[i - 1][0]]);
+      const b = nodeId([line[i][1], line[i][0]]);
+      if (a === b) continue;
+      const dist = distanceMeters(coords[a], coords[b]);
+      // wrong-way edges are kept (flagged) for modes that ignore oneway
+      adj[a].push({ to: b, dist, speed, motorway, against: oneway < 0 });
+      adj[b].push({ to: a, dist, speed, motorway, against: oneway > 0 });
+    }
+  };
+
+  for (const f of geojson?.features || []) {
+    const g = f.geometry;
+    if (!g) continue;
+    if (g.type === "LineString") addLine(g.coordinates, f.properties);
+    else if (g.type === "MultiLineString") g.coordinates.forEach((l) => addLine(l, f.properties));
+  }
+
+  if (!coords.length) throw new Error("Road graph has no line features");
+  return { coords, adj };
+}
+
+export function nearestNode(graph, latlng) {
+  let best = -1;
+  let bestD = Infinity;
+  graph.coords.forEach((c, i) => {
+    const d = distanceMeters(c, latlng);
+    if (d < bestD) {
+      bestD = d;
+      best = i;
+    }
+  });
+  return best;
+}
+
+/* ---------- Binary min-heap keyed by f-score ---------- */
+function heapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const p = (i - 1) >> 1;
+    if (heap[p].f <= heap[i].f) break;
+    [heap[p], heap[i]] = [heap[i], heap[p]];
+    i = p;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1;
+      const r = l + 1;
+      let m = i;
+      if (l < heap.length && heap[l].f < heap[m].f) m = l;
+      if (r < heap.length && heap[r].f < heap[m].f) m = r;
+      if (m === i) break;
+      [heap[m], heap[i]] = [heap[i], heap[m]];
+      i = m;
+    }
+  }
+  return top;
+}
+
+// Shortest (by distance) path between two [lat, lon] points, snapped to the graph.
+// rules: one of MODE_RULES (default: driving)
+export function shortestPath(graph, from, to, rules = MODE_RULES.driving) {
+  const cap = rules.maxKmh ? (rules.maxKmh * 1000) / 3600 : Infinity;
+  const start = nearestNode(graph, from);
+  const goal = nearestNode(graph, to);
+  const { coords, adj } = graph;
+
+  const g = new Map([[start, 0]]);
+  const time = new Map([[start, 0]]);
+  const prev = new Map();
+  const closed = new Set();
+  const open = [];
+  heapPush(open, { id: start, f: distanceMeters(coords[start], coords[goal]) });
+
+  while (open.length) {
+    const { id } = heapPop(open);
+    if (id === goal) break;
+    if (closed.has(id)) continue;
+    closed.add(id);
+
+    for (const e of adj[id]) {
+      if (closed.has(e.to)) continue;
+      if ((e.against && !rules.bothWays) || (e.motorway && rules.noMotorways)) continue;
+      const cand = g.get(id) + e.dist;
+      if (cand < (g.get(e.to) ?? Infinity)) {
+        g.set(e.to, cand);
+        time.set(e.to, time.get(id) + e.dist / Math.min(e.speed, cap));
+        prev.set(e.to, id);
+        heapPush(open, { id: e.to, f: cand + distanceMeters(coords[e.to], coords[goal]) });
+      }
+    }
+  }
+
+  if (!g.has(goal)) throw new RoutingError("No route found", { kind: ERROR_KINDS.NO_ROUTE, provider: "Offline" });
+
+  const ids = [goal];
+  while (ids[ids.length - 1] !== start) ids.push(prev.get(ids[ids.length - 1]));
+  ids.reverse();
+
+  return {
+    path: ids.map((id) => coords[id]),
+    distance: g.get(goal),
+    duration: time.get(goal),
+  };
+}
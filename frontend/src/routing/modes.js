@@ -0,0 +1,50 @@
+/* ---------- Travel modes ----------
+ * One entry per vehicle type we dispatch. `profiles` maps to each routing
+ * engine's own profile name; `kmh` is the straight-line fallback speed.
+ * OSRM serves one profile per server, so non-car modes there need their own
+ * URL (VITE_ROUTING_URL_<MODE>, see routing/config.js).
+ */
+export const TRAVEL_MODES = {
+  driving: {
+    label: "Car",
+    icon: "🚗",
+    kmh: 25,
+    profiles: { osrm: "driving", valhalla: "auto", graphhopper: "car" },
+  },
+  two_wheeler: {
+    label: "Scooter",
+    icon: "🛵",
+    kmh: 22,
+    profiles: { osrm: "driving", valhalla: "motor_scooter", graphhopper: "scooter" },
+  },
+  cycling: {
+    label: "Bike",
+    icon: "🚲",
+    kmh: 14,
+    profiles: { osrm: "cycling", valhalla: "bicycle", graphhopper: "bike" },
+  },
+  walking: {
+    label: "Walk",
+    icon: "🚶",
+    kmh: 4.8,
+    profiles: { osrm: "walking", valhalla: "pedestrian", graphhopper: "foot" },
+  },
+};
+
+export function travelMode(id) {
+  return TRAVEL_MODES[id] || TRAVEL_MODES.driving;
+}
+
+// Routing config for one mode. An explicit VITE_ROUTING_PROFILE only overrides driving.
+export function modeRoutingConfig(config, id) {
+  const key = (config.provider || "osrm").toLowerCase();
+  const mode = TRAVEL_MODES[id] ? id : "driving";
+  const { profiles } = TRAVEL_MODES[mode];
+  return {
+    ...config,
+    mode,
+    baseUrl: config.modeUrls?.[mode] || config.baseUrl,
+    profile: (mode === "driving" && config.profile) || profiles[key] || config.profile,
+    secondaryProfile: profiles[(config.secondary || "").toLowerCase()] || "",
+  };
+}
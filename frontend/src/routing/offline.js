@@ -0,0 +1,64 @@
+/* ---------- Offline provider (A* over a bundled road graph in a Web Worker) ----------
+ * One worker per graph URL, shared by every travel mode's provider so the
+ * graph is only fetched and built once.
+ */
+import { ERROR_KINDS, RoutingError } from "./errors.js";
+
+const workers = new Map(); // graphUrl → { worker, pending, seq }
+
+function workerFor(graphUrl) {
+  let w = workers.get(graphUrl);
+  if (w) return w;
+  w = { worker: null, pending: new Map(), seq: 0 }; // pending: id → { resolve, reject }
+  w.worker = new Worker(new URL("./offlineWorker.js", import.meta.url), { type: "module" });
+  w.worker.onmessage = (e) => {
+    const { id, ok, result, error, kind } = e.data;
+    const p = w.pending.get(id);
+    if (!p) return; // aborted
+    ok ? p.resolve(result) : p.reject(new RoutingError(error, { kind, provider: "Offline" }));
+  };
+  // a worker that failed to start or crashed answers nothing: fail what's waiting and
+  // forget it, so the next route() starts a fresh one
+  const fail = (message) => {
+    if (workers.get(graphUrl) === w) workers.delete(graphUrl);
+    w.worker.terminate();
+    const err = new RoutingError(message, { kind: ERROR_KINDS.UNAVAILABLE, provider: "Offline" });
+    [...w.pending.values()].forEach((p) => p.reject(err));
+  };
+  w.worker.onerror = (e) => {
+    e.preventDefault?.();
+    fail(`Offline router failed: ${e.message || "worker error"}`);
+  };
+  w.worker.onmessageerror = () => fail("Offline router sent an unreadable message");
+  w.worker.postMessage({ type: "load", url: graphUrl });
+  workers.set(graphUrl, w);
+  return w;
+}
+
+export function offlineProvider({ graphUrl, mode = "driving" } = {}) {
+  return {
+    name: "Offline",
+    route(points, { signal } = {}) {
+      if (!graphUrl) {
+        return Promise.reject(
+          new RoutingError("No offline road graph configured", { kind: ERROR_KINDS.UNAVAILABLE, provider: "Offline" })
+        );
+      }
+      if (signal?.aborted) return Promise.reject(new DOMException("Aborted", "AbortError"));
+      return new Promise((resolve, reject) => {
+        const w = workerFor(graphUrl);
+        const id = ++w.seq;
+        const onAbort = () => settle(reject, new DOMException("Aborted", "AbortError"));
+        // whichever comes first (answer, worker failure, abort) wins and cleans up
+        const settle = (fn, value) => {
+          w.pending.delete(id);
+          signal?.removeEventListener("abort", onAbort);
+          fn(value);
+        };
+        w.pending.set(id, { resolve: (r) => settle(resolve, r), reject: (e) => settle(reject, e) });
+        signal?.addEventListener("abort", onAbort, { once: true });
+        w.worker.postMessage({ type: "route", id, points, mode });
+      });
+    },
+  };
+}
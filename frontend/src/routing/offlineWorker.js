@@ -0,0 +1,49 @@
+/* ---------- Offline routing worker ----------
+ * { type: "load", url }            fetch + build the road graph
+ * { type: "route", id, points, mode }   → { id, ok, result | error, kind }
+ */
+import { buildGraph, shortestPath, MODE_RULES } from "./graph.js";
+import { ERROR_KINDS } from "./errors.js";
+
+let graphPromise = null;
+
+self.onmessage = async (e) => {
+  const msg = e.data;
+
+  if (msg.type === "load") {
+    graphPromise = fetch(msg.url)
+      .then((res) => {
+        if (!res.ok) throw new Error(`Road graph ${res.status}`);
+        return res.json();
+      })
+      .then(buildGraph);
+    // surfaced on the first route request
+    graphPromise.catch(() => {});
+    return;
+  }
+
+  if (msg.type === "route") {
+    try {
+      if (!graphPromise) throw new Error("Road graph not loaded");
+      const graph = await graphPromise;
+      // one A* search per consecutive waypoint pair, stitched together
+      // (no maneuver data in a bare road graph, so no steps; one A* path, no alternatives)
+      const result = { path: [], distance: 0, duration: 0, legs: [], steps: [], alternatives: [] };
+      for (let i = 1; i < msg.points.length; i++) {
+        const leg = shortestPath(graph, msg.points[i - 1], msg.points[i], MODE_RULES[msg.mode]);
+        result.path.push(...(i > 1 ? leg.path.slice(1) : leg.path));
+        result.distance += leg.distance;
+        result.duration += leg.duration;
+        result.legs.push({ distance: leg.distance, duration: leg.duration });
+      }
+      self.postMessage({ id: msg.id, ok: true, result });
+    } catch (err) {
+      self.postMessage({
+        id: msg.id,
+        ok: false,
+        error: err?.message || "Offline route failed",
+        kind: err?.kind || ERROR_KINDS.UNAVAILABLE, // graph missing / unreadable
+      });
+    }
+  }
+};
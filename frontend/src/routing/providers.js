@@ -0,0 +1,345 @@
+/* ---------- Routing providers ----------
+ * Every provider exposes `route(points, { signal, steps, alternatives })` with
+ * 2+ ordered [lat, lon] waypoints and resolves to the same shape:
+ *   { path: [[lat, lon], ...], distance: meters, duration: seconds,
+ *     legs: [{ distance, duration }, ...],   // one per consecutive pair
+ *     steps: [{ instruction, location, distance, duration }, ...],  // only with `steps: true`
+ *     alternatives: [{ path, distance, duration, legs, steps }, ...],  // other routes, best first
+ *     fallback?: name }  // set when a backup provider answered instead
+ * Alternatives are only asked for with `alternatives: true` and are A→B only
+ * (none of the engines offer them through via points), so expect [] often.
+ * Failures reject with a RoutingError (see errors.js).
+ */
+import { offlineProvider } from "./offline.js";
+import { distanceMeters, haversineKm } from "../geo.js";
+import { osrmInstruction } from "../navigation/instructions.js";
+import { ERROR_KINDS, RoutingError, classifyError, isOutage, kindForStatus, parseRetryAfter } from "./errors.js";
+import { withCircuitBreaker, withRetry } from "./resilience.js";
+import { travelMode } from "./modes.js";
+
+const DEFAULT_URLS = {
+  osrm: "https://router.project-osrm.org",
+  valhalla: "https://valhalla1.openstreetmap.de",
+  graphhopper: "https://graphhopper.com/api/1",
+};
+
+const MAX_ALTERNATIVES = 2;
+
+const DEFAULT_PROFILES = {
+  osrm: "driving",
+  valhalla: "auto",
+  graphhopper: "car",
+};
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, "");
+}
+
+// Read the error body of a failed response and throw "<Name> <status>: <msg>".
+// isNoRoute(json) spots the engine's "no path" answer among its 4xx replies.
+async function throwHttpError(name, res, pickMessage, isNoRoute = () => false) {
+  const text = await res.text().catch(() => "");
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // plain-text / HTML error page
+  }
+  const msg = (json ? pickMessage(json) : text) || "";
+  const kind = json && isNoRoute(json) ? ERROR_KINDS.NO_ROUTE : kindForStatus(res.status);
+  throw new RoutingError(`${name} ${res.status}${msg ? `: ${msg}` : ""}`, {
+    kind,
+    status: res.status,
+    retryAfterMs: parseRetryAfter(res.headers?.get?.("Retry-After")),
+    provider: name,
+  });
+}
+
+function noRoute(name) {
+  return new RoutingError("No route found", { kind: ERROR_KINDS.NO_ROUTE, provider: name });
+}
+
+// Google encoded polyline → [[lat, lon], ...]
+export function decodePolyline(str, precision = 5) {
+  const factor = 10 ** precision;
+  const out = [];
+  let index = 0;
+  let lat = 0;
+  let lon = 0;
+  while (index < str.length) {
+    for (const axis of [0, 1]) {
+      let shift = 0;
+      let result = 0;
+      let byte;
+      do {
+        byte = str.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+      const delta = result & 1 ? ~(result >> 1) : result >> 1;
+      if (axis === 0) lat += delta;
+      else lon += delta;
+    }
+    out.push([lat / factor, lon / factor]);
+  }
+  return out;
+}
+
+function pathLength(path) {
+  let m = 0;
+  for (let i = 1; i < path.length; i++) m += distanceMeters(path[i - 1], path[i]);
+  return m;
+}
+
+// Split a path at the vertices nearest each waypoint; leg time is shared by length
+export function legsFromPath(path, points, duration) {
+  const cuts = [0];
+  for (const p of points.slice(1, -1)) {
+    let best = cuts[cuts.length - 1];
+    let bestD = Infinity;
+    for (let i = best; i < path.length; i++) {
+      const d = distanceMeters(path[i], p);
+      if (d < bestD) {
+        bestD = d;
+        best = i;
+      }
+    }
+    cuts.push(best);
+  }
+  cuts.push(path.length - 1);
+
+  const lengths = cuts.slice(1).map((end, i) => pathLength(path.slice(cuts[i], end + 1)));
+  const total = lengths.reduce((a, b) => a + b, 0) || 1;
+  return lengths.map((distance) => ({ distance, duration: (duration * distance) / total }));
+}
+
+// Best route first, the rest as its `alternatives`
+function withAlternatives([best, ...rest]) {
+  return { ...best, alternatives: rest };
+}
+
+/* ---------- OSRM (public demo or self-hosted) ---------- */
+function osrmRoute(r) {
+  return {
+    path: r.geometry.coordinates.map(([lon, lat]) => [lat, lon]),
+    distance: r.distance,
+    duration: r.duration,
+    legs: r.legs.map((l) => ({ distance: l.distance, duration: l.duration })),
+    steps: r.legs.flatMap((l, li) =>
+      (l.steps || []).map((st) => ({
+        instruction: osrmInstruction({ ...st.maneuver, name: st.name }, li === r.legs.length - 1),
+        location: [st.maneuver.location[1], st.maneuver.location[0]],
+        distance: st.distance,
+        duration: st.duration,
+      }))
+    ),
+  };
+}
+
+export function osrmProvider({ baseUrl, profile } = {}) {
+  const base = trimSlash(baseUrl || DEFAULT_URLS.osrm);
+  const prof = profile || DEFAULT_PROFILES.osrm;
+  return {
+    name: "OSRM",
+    async route(points, { signal, steps = false, alternatives = false } = {}) {
+      const coords = points.map(([lat, lon]) => `${lon},${lat}`).join(";");
+      const alts = alternatives && points.length === 2 ? MAX_ALTERNATIVES : false;
+      const url =
+        `${base}/route/v1/${prof}/${coords}` +
+        `?overview=full&geometries=geojson&alternatives=${alts}&steps=${steps}&continue_straight=true`;
+      const res = await fetch(url, { signal });
+      if (!res.ok) {
+        await throwHttpError(
+          "OSRM",
+          res,
+          (j) => j?.message || j?.code,
+          (j) => j?.code === "NoRoute" || j?.code === "NoSegment"
+        );
+      }
+      const data = await res.json();
+      if (!data.routes?.length) throw noRoute("OSRM");
+      return withAlternatives(data.routes.map(osrmRoute));
+    },
+  };
+}
+
+/* ---------- Valhalla ---------- */
+function valhallaRoute(trip, steps) {
+  // shapes are polyline6; legs share their joining vertex
+  const path = [];
+  const maneuvers = [];
+  trip.legs.forEach((leg, i) => {
+    const pts = decodePolyline(leg.shape, 6);
+    path.push(...(i > 0 ? pts.slice(1) : pts));
+    for (const m of leg.maneuvers || []) {
+      maneuvers.push({
+        instruction: m.instruction,
+        location: pts[m.begin_shape_index],
+        distance: m.length * 1000,
+        duration: m.time,
+      });
+    }
+  });
+  return {
+    path,
+    distance: trip.summary.length * 1000,
+    duration: trip.summary.time,
+    legs: trip.legs.map((l) => ({ distance: l.summary.length * 1000, duration: l.summary.time })),
+    steps: steps ? maneuvers : [],
+  };
+}
+
+export function valhallaProvider({ baseUrl, profile } = {}) {
+  const base = trimSlash(baseUrl || DEFAULT_URLS.valhalla);
+  const costing = profile || DEFAULT_PROFILES.valhalla;
+  return {
+    name: "Valhalla",
+    async route(points, { signal, steps = false, alternatives = false } = {}) {
+      const body = {
+        locations: points.map(([lat, lon]) => ({ lat, lon })),
+        costing,
+        directions_options: { units: "kilometers", narrative: steps },
+      };
+      if (alternatives && points.length === 2) body.alternates = MAX_ALTERNATIVES;
+      const res = await fetch(`${base}/route`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal,
+      });
+      // 442/443: no path between the locations
+      if (!res.ok) {
+        await throwHttpError("Valhalla", res, (j) => j?.error, (j) => [442, 443].includes(j?.error_code));
+      }
+      const data = await res.json();
+      if (!data.trip?.legs?.length) throw noRoute("Valhalla");
+      const trips = [data.trip, ...(data.alternates || []).map((a) => a.trip)];
+      return withAlternatives(trips.map((trip) => valhallaRoute(trip, steps)));
+    },
+  };
+}
+
+/* ---------- GraphHopper ---------- */
+function graphhopperRoute(p, points) {
+  const path = p.points.coordinates.map(([lon, lat]) => [lat, lon]);
+  // GraphHopper has no per-leg summary; split at the snapped waypoints
+  const snapped = p.snapped_waypoints?.coordinates?.map(([lon, lat]) => [lat, lon]) || points;
+  return {
+    path,
+    distance: p.distance,
+    duration: p.time / 1000,
+    legs: legsFromPath(path, snapped, p.time / 1000),
+    steps: (p.instructions || []).map((ins) => ({
+      instruction: ins.text,
+      location: path[ins.interval[0]],
+      distance: ins.distance,
+      duration: ins.time / 1000,
+    })),
+  };
+}
+
+export function graphhopperProvider({ baseUrl, profile, apiKey } = {}) {
+  const base = trimSlash(baseUrl || DEFAULT_URLS.graphhopper);
+  const prof = profile || DEFAULT_PROFILES.graphhopper;
+  return {
+    name: "GraphHopper",
+    async route(points, { signal, steps = false, alternatives = false } = {}) {
+      const params = new URLSearchParams();
+      points.forEach(([lat, lon]) => params.append("point", `${lat},${lon}`));
+      params.set("profile", prof);
+      params.set("points_encoded", "false");
+      params.set("instructions", String(steps));
+      if (alternatives && points.length === 2) {
+        params.set("algorithm", "alternative_route");
+        params.set("alternative_route.max_paths", String(MAX_ALTERNATIVES + 1));
+        params.set("ch.disable", "true"); // alternative_route needs the flexible mode
+      }
+      if (apiKey) params.set("key", apiKey);
+      const res = await fetch(`${base}/route?${params}`, { signal });
+      if (!res.ok) {
+        await throwHttpError("GraphHopper", res, (j) => j?.message, (j) => /not found/i.test(j?.message));
+      }
+      const data = await res.json();
+      if (!data.paths?.length) throw noRoute("GraphHopper");
+      return withAlternatives(data.paths.map((p) => graphhopperRoute(p, points)));
+    },
+  };
+}
+
+/* ---------- Straight line (last resort, never fails) ---------- */
+export function straightLineProvider({ kmh = 25 } = {}) {
+  return {
+    name: "Straight line",
+    async route(points) {
+      const legs = points.slice(1).map((p, i) => {
+        const km = haversineKm(points[i], p);
+        return { distance: km * 1000, duration: (km / kmh) * 3600 };
+      });
+      return {
+        path: points,
+        distance: legs.reduce((a, l) => a + l.distance, 0),
+        duration: legs.reduce((a, l) => a + l.duration, 0),
+        legs,
+        steps: [],
+        alternatives: [],
+      };
+    },
+  };
+}
+
+/* ---------- Fallback chain ---------- */
+// Try `primary`; when it is down (not when it says "no route"), answer from `fallback`.
+export function withFallback(primary, fallback) {
+  return {
+    name: primary.name,
+    async route(points, opts = {}) {
+      try {
+        return await primary.route(points, opts);
+      } catch (e) {
+        const err = classifyError(e, primary.name);
+        if (err.name === "AbortError" || !isOutage(err)) throw err;
+        return { ...(await fallback.route(points, opts)), fallback: fallback.name };
+      }
+    },
+  };
+}
+
+const PROVIDERS = {
+  osrm: osrmProvider,
+  valhalla: valhallaProvider,
+  graphhopper: graphhopperProvider,
+  offline: offlineProvider,
+};
+
+function providerFor(key, config) {
+  const factory = PROVIDERS[key];
+  if (!factory) throw new Error(`Unknown routing provider "${key}"`);
+  return factory(config);
+}
+
+/* Primary (with retries) behind a circuit breaker; while the circuit is open
+ * requests go to the backups in order: the secondary provider, the offline
+ * graph, then a straight line.
+ */
+export function createRoutingProvider(config = {}) {
+  const key = (config.provider || "osrm").toLowerCase();
+  const primary = withRetry(providerFor(key, config), config.retry);
+
+  const backups = [];
+  const secondary = (config.secondary || "").toLowerCase();
+  if (secondary && secondary !== key) {
+    backups.push(
+      providerFor(secondary, {
+        ...config,
+        provider: secondary,
+        baseUrl: config.secondaryUrl || "",
+        profile: config.secondaryProfile || "",
+      })
+    );
+  }
+  if (key !== "offline" && config.graphUrl) backups.push(offlineProvider(config));
+  backups.push(straightLineProvider({ kmh: travelMode(config.mode).kmh }));
+  const backup = backups.reduceRight((rest, p) => withFallback(p, rest));
+
+  return withCircuitBreaker(primary, backup, config.breaker);
+}
@@ -0,0 +1,116 @@
+/* ---------- Retries + circuit breaker around routing providers ----------
+ * withRetry: transient failures (429 / 5xx / network) are retried with full
+ * jitter exponential backoff, honouring Retry-After when the server sends it.
+ * withCircuitBreaker: after `threshold` outages in a row the primary is left
+ * alone for `cooldownMs` and `fallback` answers instead; then exactly one
+ * trial request (half-open) goes to the primary, the rest still get the
+ * fallback, and its outcome decides whether to close the circuit again.
+ */
+import { classifyError, isOutage, isTransient } from "./errors.js";
+
+export const CIRCUIT = { CLOSED: "closed", OPEN: "open", HALF_OPEN: "half_open" };
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException("Aborted", "AbortError"));
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(new DOMException("Aborted", "AbortError"));
+    };
+    // retries on a long-lived signal must not pile up listeners
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+export function withRetry(provider, { retries = 3, baseMs = 500, maxMs = 8000 } = {}) {
+  return {
+    ...provider,
+    async route(points, opts = {}) {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await provider.route(points, opts);
+        } catch (e) {
+          const err = classifyError(e, provider.name);
+          if (err.name === "AbortError" || !isTransient(err) || attempt >= retries) throw err;
+          // a server asking for more than our longest pause is better left to the breaker
+          if (err.retryAfterMs > maxMs) throw err;
+          const backoff = Math.random() * Math.min(maxMs, baseMs * 2 ** attempt);
+          await sleep(Math.max(backoff, err.retryAfterMs ?? 0), opts.signal);
+        }
+      }
+    },
+  };
+}
+
+export function withCircuitBreaker(primary, fallback, { threshold = 3, cooldownMs = 30000 } = {}) {
+  const listeners = new Set();
+  // lastError: { kind, message } of the failure that tripped (or is tripping) the circuit
+  let snapshot = {
+    state: CIRCUIT.CLOSED,
+    failures: 0,
+    openUntil: 0,
+    lastError: null,
+    primary: primary.name,
+    fallback: fallback.name,
+  };
+  const set = (patch) => {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((fn) => fn());
+  };
+  let trialPending = false; // the half-open request to the primary is in flight
+
+  const viaFallback = async (points, opts) => ({
+    ...(await fallback.route(points, opts)),
+    fallback: fallback.name,
+  });
+
+  return {
+    name: primary.name,
+    health: {
+      subscribe(cb) {
+        listeners.add(cb);
+        return () => listeners.delete(cb);
+      },
+      getSnapshot() {
+        return snapshot;
+      },
+    },
+    async route(points, opts = {}) {
+      let trial = false;
+      if (snapshot.state !== CIRCUIT.CLOSED) {
+        if (trialPending || Date.now() < snapshot.openUntil) return viaFallback(points, opts);
+        trial = trialPending = true;
+        set({ state: CIRCUIT.HALF_OPEN });
+      }
+      try {
+        const r = await primary.route(points, opts);
+        if (snapshot.state !== CIRCUIT.CLOSED || snapshot.failures) {
+          set({ state: CIRCUIT.CLOSED, failures: 0, lastError: null });
+        }
+        return r;
+      } catch (e) {
+        const err = classifyError(e, primary.name);
+        if (err.name === "AbortError") throw err;
+        // "no route" / bad input are answers, not outages
+        if (!isOutage(err)) {
+          if (snapshot.state === CIRCUIT.HALF_OPEN) set({ state: CIRCUIT.CLOSED, failures: 0, lastError: null });
+          throw err;
+        }
+        const failures = snapshot.failures + 1;
+        const lastError = { kind: err.kind, message: err.message };
+        if (snapshot.state === CIRCUIT.HALF_OPEN || failures >= threshold) {
+          set({ state: CIRCUIT.OPEN, failures, openUntil: Date.now() + cooldownMs, lastError });
+          return viaFallback(points, opts);
+        }
+        set({ failures, lastError });
+        throw err;
+      } finally {
+        if (trial) trialPending = false;
+      }
+    },
+  };
+}
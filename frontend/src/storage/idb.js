@@ -0,0 +1,41 @@
+/* ---------- Minimal promise wrapper over IndexedDB ---------- */
+const opened = new Map(); // name → Promise<IDBDatabase>
+
+// `upgrade(db, oldVersion)` creates/migrates object stores
+export function openDb(name, version, upgrade) {
+  if (!opened.has(name)) {
+    opened.set(
+      name,
+      new Promise((resolve, reject) => {
+        if (!globalThis.indexedDB) return reject(new Error("IndexedDB not available"));
+        const req = indexedDB.open(name, version);
+        req.onupgradeneeded = (e) => upgrade(req.result, e.oldVersion);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      })
+    );
+    opened.get(name).catch(() => opened.delete(name)); // allow retrying later
+  }
+  return opened.get(name);
+}
+
+export function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Run `fn(store | stores)` in one transaction; resolves with fn's result once committed
+export async function withStore(db, names, mode, fn) {
+  const tx = db.transaction(names, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+  const stores = Array.isArray(names) ? names.map((n) => tx.objectStore(n)) : tx.objectStore(names);
+  const result = await fn(stores);
+  await done;
+  return result;
+}
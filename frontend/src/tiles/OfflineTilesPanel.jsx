@@ -0,0 +1,147 @@
+import React, { useState } from "react";
+import { countTiles } from "./tiles.js";
+
+const linkButton = {
+  border: "none",
+  background: "none",
+  color: "#1e40af",
+  padding: 0,
+  cursor: "pointer",
+  fontSize: 12,
+  fontWeight: 700,
+};
+
+function formatBytes(n) {
+  if (n == null) return "—";
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  if (n < 1024 ** 3) return `${(n / 1024 ** 2).toFixed(1)} MB`;
+  return `${(n / 1024 ** 3).toFixed(2)} GB`;
+}
+
+/* ---------- Offline map: download the visible area, list / delete areas ----------
+ * view: { bounds: { south, west, north, east }, zoom } of the map right now.
+ */
+export default function OfflineTilesPanel({ tiles, source, view, onClose }) {
+  const { regions, usage, progress, error, download, cancel, remove, clearAll } = tiles;
+  const minZoom = view ? Math.max(0, Math.floor(view.zoom) - 2) : 0;
+  const [depth, setDepth] = useState(3); // zoom levels below the current one
+  const maxZoom = view ? Math.min(source.maxZoom, Math.floor(view.zoom) + depth) : 0;
+  const count = view ? countTiles(view.bounds, minZoom, maxZoom) : 0;
+  const tooMany = count > source.downloadLimit;
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top: 110,
+        right: 10,
+        width: 280,
+        maxHeight: "50vh",
+        overflowY: "auto",
+        zIndex: 10000,
+        background: "#fff",
+        border: "1px solid #ddd",
+        borderRadius: 12,
+        padding: 10,
+        boxShadow: "0 2px 10px rgba(0,0,0,0.15)",
+        fontFamily: "system-ui",
+        fontSize: 13,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8 }}>
+        <b style={{ flex: 1 }}>Offline map</b>
+        <button onClick={onClose} style={linkButton} aria-label="Close">
+          ✕
+        </button>
+      </div>
+
+      {!source.allowDownload ? (
+        <div style={{ opacity: 0.8, marginBottom: 8 }}>
+          Downloading areas needs your own tile server (VITE_TILE_URL): tile.openstreetmap.org doesn’t allow
+          bulk downloads. Tiles you look at are still kept for offline use.
+        </div>
+      ) : progress ? (
+        <div style={{ marginBottom: 8 }}>
+          <div>
+            Downloading {progress.name}: {progress.done} / {progress.total}
+            {progress.failed ? ` (${progress.failed} failed)` : ""}
+          </div>
+          <div style={{ height: 6, background: "#eee", borderRadius: 3, margin: "4px 0" }}>
+            <div
+              style={{
+                height: "100%",
+                width: `${(100 * progress.done) / Math.max(1, progress.total)}%`,
+                background: "#0f766e",
+                borderRadius: 3,
+              }}
+            />
+          </div>
+          <button style={linkButton} onClick={cancel}>
+            Cancel
+          </button>
+        </div>
+      ) : (
+        view && (
+          <div style={{ marginBottom: 8 }}>
+            <div>
+              This view, zoom {minZoom}–{maxZoom}:{" "}
+              <b style={{ color: tooMany ? "#c00" : undefined }}>{count} tiles</b>
+            </div>
+            <label style={{ display: "flex", alignItems: "center", gap: 6, margin: "4px 0" }}>
+              Detail
+              <input
+                type="range"
+                min={0}
+                max={6}
+                value={depth}
+                onChange={(e) => setDepth(Number(e.target.value))}
+                style={{ flex: 1 }}
+              />
+              +{depth}
+            </label>
+            <button
+              disabled={tooMany || !count}
+              onClick={() =>
+                download({ name: new Date().toLocaleString(), bounds: view.bounds, minZoom, maxZoom })
+              }
+              style={{
+                border: "1px solid #0f766e",
+                background: "#0f766e",
+                color: "#fff",
+                borderRadius: 8,
+                padding: "4px 8px",
+                fontWeight: 700,
+                cursor: "pointer",
+                opacity: tooMany || !count ? 0.5 : 1,
+              }}
+            >
+              Download this area
+            </button>
+          </div>
+        )
+      )}
+
+      {error && <div style={{ color: "#c00", marginBottom: 6 }}>{error}</div>}
+
+      {regions.map((r) => (
+        <div key={r.id} style={{ borderTop: "1px solid #eee", padding: "6px 0" }}>
+          <div style={{ fontWeight: 700 }}>{r.name}</div>
+          <div style={{ opacity: 0.7, fontSize: 12 }}>
+            zoom {r.minZoom}–{r.maxZoom} · {r.tiles} tiles{r.failed ? ` · ${r.failed} missing` : ""}
+          </div>
+          <button style={{ ...linkButton, color: "#b91c1c" }} onClick={() => remove(r)}>
+            Delete
+          </button>
+        </div>
+      ))}
+
+      <div style={{ borderTop: "1px solid #eee", paddingTop: 6, fontSize: 12, opacity: 0.8 }}>
+        {usage ? `${usage.tiles} tiles cached · ${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} used` : "—"}
+        {" · "}
+        <button style={{ ...linkButton, color: "#b91c1c" }} onClick={clearAll}>
+          Clear all
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+/* ---------- Map tile config (Vite env) ----------
+ * VITE_TILE_URL            Leaflet URL template (default: the OSM standard layer)
+ * VITE_TILE_SUBDOMAINS     letters substituted for {s} (default "abc")
+ * VITE_TILE_ATTRIBUTION    attribution HTML
+ * VITE_TILE_MAX_ZOOM       highest zoom the server has (default 19)
+ * VITE_TILE_DOWNLOAD_LIMIT most tiles one downloaded area may hold (default 3000)
+ *
+ * Area downloads are off for tile.openstreetmap.org: its usage policy forbids
+ * bulk prefetching. Point VITE_TILE_URL at your own tile server to enable them.
+ */
+import { tileHosts } from "./tiles.js";
+
+const env = import.meta.env ?? {};
+
+export const OSM_TILE_URL = "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+
+const url = env.VITE_TILE_URL || OSM_TILE_URL;
+const subdomains = env.VITE_TILE_SUBDOMAINS || "abc";
+
+export const tileConfig = {
+  url,
+  subdomains,
+  attribution: env.VITE_TILE_ATTRIBUTION || "© OpenStreetMap contributors",
+  maxZoom: Number(env.VITE_TILE_MAX_ZOOM) || 19,
+  downloadLimit: Number(env.VITE_TILE_DOWNLOAD_LIMIT) || 3000,
+  allowDownload: !tileHosts(url, subdomains).some((h) => h.endsWith("tile.openstreetmap.org")),
+};
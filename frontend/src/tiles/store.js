@@ -0,0 +1,106 @@
+/* ---------- Offline tiles: service worker, Cache Storage, saved regions ----------
+ * Downloaded tiles live in a Cache Storage bucket shared with public/tile-sw.js
+ * (which serves them cache-first and keeps tiles seen while browsing in a
+ * capped bucket of its own); downloaded regions are listed in IndexedDB:
+ *   regions: { id, name, bounds: { south, west, north, east }, minZoom, maxZoom, tiles, createdAt }
+ */
+import { openDb, promisify, withStore } from "../storage/idb.js";
+import { tileHosts, tilesInBounds, tileUrl } from "./tiles.js";
+
+export const TILE_CACHE = "gps-uber-tiles-v1"; // keep in sync with public/tile-sw.js
+const BROWSE_CACHE = "gps-uber-tiles-browse-v1"; // ditto
+const CONCURRENCY = 4;
+
+function db() {
+  return openDb("gps-uber-tiles", 1, (d) => {
+    d.createObjectStore("regions", { keyPath: "id" });
+  });
+}
+
+// Install the tile service worker for this template's hosts (no-op where unsupported)
+export function registerTileWorker({ url, subdomains }) {
+  if (!("serviceWorker" in navigator)) return;
+  const params = new URLSearchParams();
+  tileHosts(url, subdomains).forEach((h) => params.append("host", h));
+  navigator.serviceWorker
+    .register(`${import.meta.env?.BASE_URL ?? "/"}tile-sw.js?${params}`)
+    .catch(() => {}); // http:// dev hosts, private mode… the map still works online
+}
+
+export async function listRegions() {
+  const all = await withStore(await db(), "regions", "readonly", (s) => promisify(s.getAll()));
+  return all.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/* Fetch every tile of `region` from `source` ({ url, subdomains }, tileConfig)
+ * into the cache. Tiles already cached are skipped; onProgress({ done, total,
+ * failed }) after each one. Resolves with the saved region. Aborting keeps
+ * what was fetched but saves no region.
+ */
+export async function downloadRegion(region, source, { signal, onProgress } = {}) {
+  const cache = await caches.open(TILE_CACHE);
+  const todo = tilesInBounds(region.bounds, region.minZoom, region.maxZoom);
+  const total = region.tiles;
+  let done = 0;
+  let failed = 0;
+
+  // ask once so the browser doesn't evict the area under storage pressure
+  navigator.storage?.persist?.().catch(() => {});
+
+  const worker = async () => {
+    for (const t of todo) {
+      if (signal?.aborted) return;
+      const url = tileUrl(source.url, t, source.subdomains);
+      try {
+        if (!(await cache.match(url))) {
+          const res = await fetch(url, { mode: "cors", signal });
+          if (!res.ok) throw new Error(`Tile ${res.status}`);
+          await cache.put(url, res);
+        }
+      } catch (e) {
+        if (e?.name === "AbortError") return;
+        failed++;
+      }
+      done++;
+      onProgress?.({ done, total, failed });
+    }
+  };
+  // the workers share one generator, so each tile is taken exactly once
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+  if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+
+  const saved = { ...region, failed, createdAt: Date.now() };
+  await withStore(await db(), "regions", "readwrite", (s) => s.put(saved));
+  return saved;
+}
+
+// Drop a region and the tiles no other saved region still needs
+export async function deleteRegion(region, source) {
+  const others = (await listRegions()).filter((r) => r.id !== region.id);
+  const keep = new Set();
+  for (const r of others) {
+    for (const t of tilesInBounds(r.bounds, r.minZoom, r.maxZoom)) {
+      keep.add(tileUrl(source.url, t, source.subdomains));
+    }
+  }
+  const cache = await caches.open(TILE_CACHE);
+  for (const t of tilesInBounds(region.bounds, region.minZoom, region.maxZoom)) {
+    const url = tileUrl(source.url, t, source.subdomains);
+    if (!keep.has(url)) await cache.delete(url);
+  }
+  await withStore(await db(), "regions", "readwrite", (s) => s.delete(region.id));
+}
+
+// Everything: regions and tiles cached while browsing
+export async function clearTiles() {
+  await Promise.all([caches.delete(TILE_CACHE), caches.delete(BROWSE_CACHE)]);
+  await withStore(await db(), "regions", "readwrite", (s) => s.clear());
+}
+
+// { tiles, usage, quota } — usage/quota cover the whole origin (bytes, may be null)
+export async function storageUsage() {
+  let tiles = 0;
+  for (const name of [TILE_CACHE, BROWSE_CACHE]) tiles += (await (await caches.open(name)).keys()).length;
+  const est = (await navigator.storage?.estimate?.()) || {};
+  return { tiles, usage: est.usage ?? null, quota: est.quota ?? null };
+}
@@ -0,0 +1,67 @@
+/* ---------- Slippy-map tile maths (Web Mercator, XYZ) ---------- */
+const MAX_LAT = 85.05112878;
+
+export function lonToTileX(lon, z) {
+  return Math.floor(((lon + 180) / 360) * 2 ** z);
+}
+
+export function latToTileY(lat, z) {
+  const r = (Math.max(-MAX_LAT, Math.min(MAX_LAT, lat)) * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2) * 2 ** z);
+}
+
+// Tile index range covering { south, west, north, east } at zoom z
+function tileRange({ south, west, north, east }, z) {
+  const last = 2 ** z - 1;
+  const clamp = (v) => Math.max(0, Math.min(last, v));
+  return {
+    x0: clamp(lonToTileX(west, z)),
+    x1: clamp(lonToTileX(east, z)),
+    y0: clamp(latToTileY(north, z)), // y grows southwards
+    y1: clamp(latToTileY(south, z)),
+  };
+}
+
+export function countTiles(bounds, minZoom, maxZoom) {
+  let n = 0;
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const { x0, x1, y0, y1 } = tileRange(bounds, z);
+    n += (x1 - x0 + 1) * (y1 - y0 + 1);
+  }
+  return n;
+}
+
+// Every { x, y, z } in the area, low zooms first
+export function* tilesInBounds(bounds, minZoom, maxZoom) {
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const { x0, x1, y0, y1 } = tileRange(bounds, z);
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) yield { x, y, z };
+    }
+  }
+}
+
+// Same URL Leaflet's TileLayer requests for this tile (incl. its {s} choice),
+// so the service worker cache hits whichever of the two fetched it
+export function tileUrl(template, { x, y, z }, subdomains = "abc") {
+  const s = subdomains.length ? subdomains[Math.abs(x + y) % subdomains.length] : "";
+  return template
+    .replace("{s}", s)
+    .replace("{z}", z)
+    .replace("{x}", x)
+    .replace("{y}", y)
+    .replace("{r}", "");
+}
+
+// Hosts the template can resolve to (the service worker only touches these)
+export function tileHosts(template, subdomains = "abc") {
+  const hosts = new Set();
+  for (const s of subdomains.length ? subdomains : [""]) {
+    try {
+      hosts.add(new URL(template.replace("{s}", s).replace(/\{[a-z]\}/g, "0")).host);
+    } catch {
+      // relative / malformed template — nothing to intercept
+    }
+  }
+  return [...hosts];
+}
@@ -0,0 +1,77 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { clearTiles, deleteRegion, downloadRegion, listRegions, storageUsage } from "./store.js";
+import { countTiles } from "./tiles.js";
+
+/* ---------- Downloaded map areas + storage usage ----------
+ * Lives in MapView (not the panel) so closing the panel doesn't stop a download.
+ * source: tileConfig ({ url, subdomains, downloadLimit }).
+ */
+export function useTileDownloads(source) {
+  const [regions, setRegions] = useState([]);
+  const [usage, setUsage] = useState(null); // { tiles, usage, quota }
+  const [progress, setProgress] = useState(null); // { name, done, total, failed } while downloading
+  const [error, setError] = useState("");
+  const abortRef = useRef(null);
+
+  const refresh = useCallback(() => {
+    listRegions()
+      .then(setRegions)
+      .catch((e) => setError(e?.message || "Tile storage unavailable"));
+    storageUsage()
+      .then(setUsage)
+      .catch(() => setUsage(null));
+  }, []);
+
+  useEffect(refresh, [refresh]);
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const download = useCallback(
+    async ({ name, bounds, minZoom, maxZoom }) => {
+      const tiles = countTiles(bounds, minZoom, maxZoom);
+      if (tiles > source.downloadLimit) {
+        setError(`${tiles} tiles is over the ${source.downloadLimit} limit — zoom in or lower the max zoom.`);
+        return;
+      }
+      abortRef.current?.abort();
+      const controller = new AbortController();
+      abortRef.current = controller;
+      setError("");
+      setProgress({ name, done: 0, total: tiles, failed: 0 });
+      try {
+        const region = { id: `${Date.now()}`, name, bounds, minZoom, maxZoom, tiles };
+        await downloadRegion(region, source, {
+          signal: controller.signal,
+          onProgress: (p) => setProgress({ name, ...p }),
+        });
+      } catch (e) {
+        if (e?.name !== "AbortError") setError(e?.message || "Download failed");
+      } finally {
+        if (abortRef.current === controller) {
+          abortRef.current = null;
+          setProgress(null);
+        }
+        refresh();
+      }
+    },
+    [source, refresh]
+  );
+
+  const cancel = useCallback(() => abortRef.current?.abort(), []);
+
+  const remove = useCallback(
+    (region) =>
+      deleteRegion(region, source)
+        .catch((e) => setError(e?.message || "Could not delete area"))
+        .finally(refresh),
+    [source, refresh]
+  );
+
+  const clearAll = useCallback(() => {
+    abortRef.current?.abort();
+    return clearTiles()
+      .catch((e) => setError(e?.message || "Could not clear tiles"))
+      .finally(refresh);
+  }, [refresh]);
+
+  return { regions, usage, progress, error, download, cancel, remove, clearAll, refresh };
+}
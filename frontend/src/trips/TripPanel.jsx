@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import { deleteTrip, getFixes } from "./store.js";
+import { downloadFile, toGeoJSON, toGPX } from "./export.js";
+
+const linkButton = {
+  border: "none",
+  background: "none",
+  color: "#1e40af",
+  padding: 0,
+  cursor: "pointer",
+  fontSize: 12,
+  fontWeight: 700,
+};
+
+async function exportTrip(trip, format) {
+  const fixes = await getFixes(trip.id);
+  const base = `trip-${new Date(trip.startedAt).toISOString().replace(/[:.]/g, "-")}`;
+  if (format === "gpx") {
+    downloadFile(`${base}.gpx`, toGPX(trip, fixes), "application/gpx+xml");
+  } else {
+    downloadFile(`${base}.geojson`, JSON.stringify(toGeoJSON(trip, fixes), null, 2), "application/geo+json");
+  }
+}
+
+/* ---------- Recorded trips: record / stop, export, delete ---------- */
+export default function TripPanel({ recorder, onClose }) {
+  const { active, trace, trips, error, start, stop, refresh } = recorder;
+  const [actionError, setActionError] = useState("");
+  // export / delete hit IndexedDB too (quota, private mode, blocked upgrade)
+  const run = (promise, fallback) => {
+    setActionError("");
+    promise.catch((e) => setActionError(e?.message || fallback));
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top: 110,
+        right: 10,
+        width: 280,
+        maxHeight: "50vh",
+        overflowY: "auto",
+        zIndex: 10000,
+        background: "#fff",
+        border: "1px solid #ddd",
+        borderRadius: 12,
+        padding: 10,
+        boxShadow: "0 2px 10px rgba(0,0,0,0.15)",
+        fontFamily: "system-ui",
+        fontSize: 13,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8 }}>
+        <b style={{ flex: 1 }}>Trips</b>
+        <button
+          onClick={() => (active ? stop() : start())}
+          style={{
+            border: "1px solid #ddd",
+            background: active ? "#fee2e2" : "#fff",
+            borderRadius: 8,
+            padding: "4px 8px",
+            fontWeight: 700,
+            cursor: "pointer",
+          }}
+        >
+          {active ? `■ Stop (${trace.length})` : "● Record"}
+        </button>
+        <button onClick={onClose} style={linkButton} aria-label="Close">
+          ✕
+        </button>
+      </div>
+      {(error || actionError) && <div style={{ color: "#c00", marginBottom: 6 }}>{actionError || error}</div>}
+      {trips.length === 0 && <div style={{ opacity: 0.6 }}>No recorded trips yet.</div>}
+      {trips.map((t) => (
+        <div key={t.id} style={{ borderTop: "1px solid #eee", padding: "6px 0" }}>
+          <div style={{ fontWeight: 700 }}>{t.name}</div>
+          <div style={{ opacity: 0.7, fontSize: 12 }}>
+            {t.fixCount} fixes{t.endedAt ? "" : " · recording"}
+            {t.rideId ? " · ride" : ""}
+          </div>
+          <div style={{ display: "flex", gap: 10, marginTop: 2 }}>
+            <button style={linkButton} onClick={() => run(exportTrip(t, "gpx"), "Could not export trip")}>
+              GPX
+            </button>
+            <button style={linkButton} onClick={() => run(exportTrip(t, "geojson"), "Could not export trip")}>
+              GeoJSON
+            </button>
+            {t.id !== active?.id && (
+              <button
+                style={{ ...linkButton, color: "#b91c1c" }}
+                onClick={() => run(deleteTrip(t.id).then(refresh), "Could not delete trip")}
+              >
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
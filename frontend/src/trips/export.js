@@ -0,0 +1,78 @@
+/* ---------- Trip export (GPX 1.1 / GeoJSON) ---------- */
+function esc(v) {
+  return String(v)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const iso = (ts) => new Date(ts).toISOString();
+
+// speed (m/s) and course via Garmin's TrackPointExtension; accuracy (m) in our own namespace
+export function toGPX(trip, fixes) {
+  const pts = fixes
+    .map((f) => {
+      const ext = [];
+      if (Number.isFinite(f.speed)) ext.push(`<gpxtpx:speed>${f.speed}</gpxtpx:speed>`);
+      if (Number.isFinite(f.heading)) ext.push(`<gpxtpx:course>${f.heading}</gpxtpx:course>`);
+      const tpx = ext.length ? `<gpxtpx:TrackPointExtension>${ext.join("")}</gpxtpx:TrackPointExtension>` : "";
+      const acc = Number.isFinite(f.accuracy) ? `<gu:accuracy>${f.accuracy}</gu:accuracy>` : "";
+      const extensions = tpx || acc ? `<extensions>${tpx}${acc}</extensions>` : "";
+      return `      <trkpt lat="${f.lat}" lon="${f.lon}"><time>${iso(f.ts)}</time>${extensions}</trkpt>`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Gps-Uber"
+  xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"
+  xmlns:gu="urn:gps-uber:trace:1">
+  <metadata>
+    <name>${esc(trip.name)}</name>
+    <time>${iso(trip.startedAt)}</time>
+  </metadata>
+  <trk>
+    <name>${esc(trip.name)}</name>
+    <trkseg>
+${pts}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+// One LineString; per-vertex data as parallel arrays (coordTimes as in togeojson)
+export function toGeoJSON(trip, fixes) {
+  return {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        geometry: { type: "LineString", coordinates: fixes.map((f) => [f.lon, f.lat]) },
+        properties: {
+          id: trip.id,
+          name: trip.name,
+          rideId: trip.rideId,
+          startedAt: iso(trip.startedAt),
+          endedAt: trip.endedAt ? iso(trip.endedAt) : null,
+          coordTimes: fixes.map((f) => iso(f.ts)),
+          accuracy: fixes.map((f) => f.accuracy ?? null),
+          speed: fixes.map((f) => f.speed ?? null),
+          heading: fixes.map((f) => f.heading ?? null),
+        },
+      },
+    ],
+  };
+}
+
+export function downloadFile(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,66 @@
+/* ---------- Recorded trips in IndexedDB ----------
+ * trips: { id, name, rideId, startedAt, endedAt, fixCount }
+ * fixes: { tripId, lat, lon, accuracy, speed, heading, ts }   (indexed by tripId)
+ */
+import { openDb, promisify, withStore } from "../storage/idb.js";
+
+function db() {
+  return openDb("gps-uber-trips", 1, (d) => {
+    d.createObjectStore("trips", { keyPath: "id" });
+    d.createObjectStore("fixes", { autoIncrement: true }).createIndex("tripId", "tripId");
+  });
+}
+
+export async function createTrip({ name = "", rideId = null } = {}) {
+  const startedAt = Date.now();
+  const trip = {
+    id: `${startedAt}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name || new Date(startedAt).toLocaleString(),
+    rideId,
+    startedAt,
+    endedAt: null,
+    fixCount: 0,
+  };
+  await withStore(await db(), "trips", "readwrite", (s) => s.put(trip));
+  return trip;
+}
+
+export async function addFix(tripId, fix) {
+  await withStore(await db(), ["trips", "fixes"], "readwrite", async ([trips, fixes]) => {
+    fixes.add({ ...fix, tripId });
+    const trip = await promisify(trips.get(tripId));
+    if (trip) trips.put({ ...trip, fixCount: trip.fixCount + 1 });
+  });
+}
+
+export async function finishTrip(tripId, endedAt = Date.now()) {
+  await withStore(await db(), "trips", "readwrite", async (s) => {
+    const trip = await promisify(s.get(tripId));
+    if (trip) s.put({ ...trip, endedAt });
+  });
+}
+
+// newest first
+export async function listTrips() {
+  const all = await withStore(await db(), "trips", "readonly", (s) => promisify(s.getAll()));
+  return all.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+export async function getTrip(tripId) {
+  return withStore(await db(), "trips", "readonly", (s) => promisify(s.get(tripId)));
+}
+
+export async function getFixes(tripId) {
+  const fixes = await withStore(await db(), "fixes", "readonly", (s) =>
+    promisify(s.index("tripId").getAll(tripId))
+  );
+  return fixes.sort((a, b) => a.ts - b.ts);
+}
+
+export async function deleteTrip(tripId) {
+  await withStore(await db(), ["trips", "fixes"], "readwrite", async ([trips, fixes]) => {
+    trips.delete(tripId);
+    const keys = await promisify(fixes.index("tripId").getAllKeys(tripId));
+    keys.forEach((k) => fixes.delete(k));
+  });
+}
@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState } from "react";
+import { addFix, createTrip, finishTrip, listTrips } from "./store.js";
+
+/* ---------- Record GPS fixes of the active trip ----------
+ * fix: { lat, lon, accuracy, speed, heading, ts } — a new object per GPS update.
+ */
+export function useTripRecorder(fix) {
+  const [active, setActive] = useState(null); // trip being recorded
+  const [trace, setTrace] = useState([]); // its fixes, for the breadcrumb
+  const [trips, setTrips] = useState([]);
+  const [error, setError] = useState("");
+
+  const refresh = useCallback(() => {
+    listTrips()
+      .then(setTrips)
+      .catch((e) => setError(e?.message || "Trip storage unavailable"));
+  }, []);
+
+  useEffect(refresh, [refresh]);
+
+  const start = useCallback(async (meta) => {
+    try {
+      const trip = await createTrip(meta);
+      setTrace([]);
+      setActive(trip);
+      refresh();
+    } catch (e) {
+      setError(e?.message || "Could not start recording");
+    }
+  }, [refresh]);
+
+  const stop = useCallback(async () => {
+    if (!active) return;
+    setActive(null);
+    try {
+      await finishTrip(active.id);
+    } catch (e) {
+      setError(e?.message || "Could not finish recording");
+    }
+    refresh();
+  }, [active, refresh]);
+
+  useEffect(() => {
+    if (!active || !fix) return;
+    setTrace((t) => [...t, fix]);
+    addFix(active.id, fix).catch((e) => setError(e?.message || "Could not save fix"));
+  }, [active, fix]);
+
+  return { active, trace, trips, error, start, stop, refresh };
+}